@@ -0,0 +1,52 @@
+/**
+ * validate-data.js
+ * Command line report of problems in the dataset.
+ *
+ * Usage:
+ *   npm run validate:data                 # checks src/data.json
+ *   npm run validate:data -- path/to.json # checks another export
+ *
+ * References are resolved through src/aliases.json, like in the app.
+ * Exits with status 1 when any error-level issue is found.
+ */
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { countIssues, groupIssues, validateDataset } from '../src/validation.js';
+
+const defaultPath = fileURLToPath(new URL('../src/data.json', import.meta.url));
+const aliasesPath = fileURLToPath(new URL('../src/aliases.json', import.meta.url));
+const file = process.argv[2] ? resolve(process.argv[2]) : defaultPath;
+
+// Headings per issue code; the app translates them through i18n.js instead
+const ISSUE_LABELS = {
+  'missing-name': 'Missing names',
+  'duplicate-name': 'Duplicate names',
+  'similar-name': 'Names differing only in case or spacing',
+  'unknown-type': 'Unknown types',
+  'dangling-reference': 'Dangling references',
+  'self-reference': 'Self-references',
+  'duplicate-reference': 'Repeated references',
+  'missing-description': 'Missing descriptions',
+  'missing-website': 'Missing websites',
+};
+
+const data = JSON.parse(readFileSync(file, 'utf8'));
+const aliases = JSON.parse(readFileSync(aliasesPath, 'utf8'));
+const issues = validateDataset(data, { aliases });
+
+console.log(`Validated ${data.length} entries in ${file}\n`);
+
+groupIssues(issues).forEach(({ code, issues: group }) => {
+  console.log(`${ISSUE_LABELS[code]} (${group.length})`);
+  group.forEach(issue => {
+    console.log(`  [${issue.severity}] ${issue.name}: ${issue.message}`);
+  });
+  console.log('');
+});
+
+const counts = countIssues(issues);
+console.log(`${counts.error} errors, ${counts.warning} warnings, ${counts.info} notes`);
+
+process.exitCode = counts.error > 0 ? 1 : 0;
@@ -0,0 +1,73 @@
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { downloadFile } from './utils.js';
+import { useI18n } from './i18n.js';
+
+/**
+ * Shows which references were matched through name normalization or the
+ * alias map, and lets the user edit the alias map for the current session.
+ *
+ * @param {object} props
+ * @param {Array} props.applied - output of listAppliedAliases
+ * @param {string[]} props.unresolved - references that still match no node
+ * @param {string[]} props.names - canonical names that aliases may point to
+ * @param {Object<string,string>} props.aliases - current alias map
+ * @param {Function} props.onChange - called with the updated alias map
+ */
+const AliasPanel = ({ applied, unresolved, names, aliases, onChange }) => {
+  const { t } = useI18n();
+
+  const addAlias = (alias, target) => {
+    if (!target) return;
+    onChange({ ...aliases, [alias]: target });
+  };
+
+  const removeAlias = (alias) => {
+    const next = { ...aliases };
+    delete next[alias];
+    onChange(next);
+  };
+
+  const downloadAliases = () => {
+    downloadFile('aliases.json', JSON.stringify(aliases, null, 2) + '\n', 'application/json');
+  };
+
+  return (
+    <CollapsibleBox title={t('aliases.title', { applied: applied.length, unresolved: unresolved.length })}>
+      <div style={{ fontWeight: 'bold' }}>{t('aliases.applied', { count: applied.length })}</div>
+      {applied.map(({ from, to, via, usedBy }) => (
+        <div key={from} style={{ paddingLeft: 8 }} title={t('aliases.usedBy', { names: usedBy.join(', ') })}>
+          “{from}” → <strong>{to}</strong> <span style={{ color: '#777' }}>({t(`aliases.via.${via}`)})</span>
+        </div>
+      ))}
+
+      <div style={{ fontWeight: 'bold', marginTop: 6 }}>{t('aliases.map')}</div>
+      {Object.entries(aliases).map(([alias, target]) => (
+        <div key={alias} style={{ paddingLeft: 8 }}>
+          “{alias}” → {target}{' '}
+          <a href="#" onClick={(e) => { e.preventDefault(); removeAlias(alias); }}>{t('aliases.remove')}</a>
+        </div>
+      ))}
+
+      {unresolved.length > 0 && (
+        <>
+          <div style={{ fontWeight: 'bold', marginTop: 6 }}>{t('aliases.unresolved', { count: unresolved.length })}</div>
+          {unresolved.map(reference => (
+            <div key={reference} style={{ paddingLeft: 8, display: 'flex', gap: 4, alignItems: 'center' }}>
+              <span style={{ flex: 1 }}>“{reference}”</span>
+              <select value="" onChange={(e) => addAlias(reference, e.target.value)} style={{ fontSize: 11, maxWidth: 140 }}>
+                <option value="">{t('aliases.mapTo')}</option>
+                {names.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+          ))}
+        </>
+      )}
+
+      <button onClick={downloadAliases} style={{ marginTop: 6, fontSize: 11, padding: '2px 8px' }}>
+        {t('aliases.download')}
+      </button>
+    </CollapsibleBox>
+  );
+};
+
+export default AliasPanel;
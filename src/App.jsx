@@ -5,17 +5,9 @@
  * showing both direct company usage and tool interoperability connections.
  */
 
-// D3 force simulation imports for graph layout
-import {
-  forceSimulation,
-  forceLink,
-  forceManyBody,
-  forceX,
-  forceY,
-} from 'd3-force';
-
 // React core hooks
 import { useCallback, useMemo, useRef, useState, useEffect } from 'react';
+import { flushSync } from 'react-dom';
 
 // ReactFlow components and hooks for graph visualization
 import {
@@ -30,143 +22,210 @@ import {
   useEdgesState,
   useReactFlow,
   useNodesInitialized,
-  applyNodeChanges
 } from '@xyflow/react';
  
 // Custom components and utilities
-import { collide } from './collide.js';              // Custom collision detection for nodes
+import { defaultForces } from './forceLayout.js';    // Force settings; the simulation runs in forceLayoutWorker.js
+import ForceLayoutPanel from './ForceLayoutPanel.jsx';
 import FloatingEdge from './FloatingEdge';           // Custom edge component
 import FloatingConnectionLine from './FloatingConnectionLine';  // Visual feedback for edge creation
-import { initialElements } from './initialElements.js';         // Initial graph data
+import { generateColorMap, initialElements } from './initialElements.js'; // Initial graph data and type colors
 import CustomNode from './CustomNode';                // Custom node component
-import UserNode  from './user-node.jsx';             // User-editable node component
 import ArrangeButton from "./ArrangeButton.jsx";     // Layout control button
-import rawData from './data.json';                   // Source data for visualization
-import { arrangeNodes, arrangeNodesVertically, buildCompanyEdges, buildInteroperabilityEdges } from './utils';
+import rawData from './data.json';                   // Bundled source data, replaceable at runtime
+import defaultAliases from './aliases.json';         // Alias -> canonical name map for references
+import {
+  arrangeNodes,
+  arrangeNodesVertically,
+  buildCoAdoptionEdges,
+  buildCombinedEdges,
+  buildCompanyStacks,
+  buildCompanyEdges,
+  buildFormatEdges,
+  buildInteroperabilityEdges,
+  buildSimilarityEdges,
+  COADOPTION_COLORS,
+  COMPARE_COLORS,
+  compareStacks,
+  describeNode,
+  downloadFile,
+  recommendTools,
+  EDGE_LAYERS,
+  EDGE_MODES,
+  isNodeInEdgeMode,
+  listAsymmetricInteroperability,
+  SIMILARITY_METRICS,
+} from './utils';
 
 // Styles and UI components
 import '@xyflow/react/dist/style.css';
 import TypeFilterPanel from './TypeFilterPanel.jsx';
+import DataIssuesPanel from './DataIssuesPanel.jsx';
+import InteroperabilityAuditPanel from './InteroperabilityAuditPanel.jsx';
+import AliasPanel from './AliasPanel.jsx';
+import DatasetLoader from './DatasetLoader.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import ImageExportPanel from './ImageExportPanel.jsx';
+import { decodeViewState, encodeViewState } from './viewState.js';
+import WorkspacePanel from './WorkspacePanel.jsx';
+import SearchPanel from './SearchPanel.jsx';
+import PathPanel from './PathPanel.jsx';
+import NodeDetailPanel from './NodeDetailPanel.jsx';
+import ComparePanel from './ComparePanel.jsx';
+import RecommendationPanel from './RecommendationPanel.jsx';
+import MetricsPanel from './MetricsPanel.jsx';
+import { computeMetrics } from './metrics.js';
+import ClusterPanel from './ClusterPanel.jsx';
+import { clusterName, communityColor, detectCommunities, UNCLUSTERED_COLOR } from './communities.js';
+import { buildAdjacency, edgeKey, hopDistances, kShortestPaths } from './graphAlgorithms.js';
+import {
+  captureWorkspace,
+  clearAutosavedWorkspace,
+  emptyWorkspace,
+  loadAutosavedWorkspace,
+  loadNamedWorkspace,
+  restoreWorkspace,
+  saveAutosavedWorkspace,
+  saveNamedWorkspace,
+} from './workspace.js';
+import { validateDataset } from './validation.js';
+import {
+  createNameResolver,
+  deleteEntry,
+  entryToRow,
+  isCompanyType,
+  listAppliedAliases,
+  saveEntry,
+  serializeDataset,
+} from './dataset.js';
+import EntryEditor from './EntryEditor.jsx';
+import HistoryPanel from './HistoryPanel.jsx';
+import { emptyHistory, recordAction, travel } from './history.js';
+import { createI18n, I18nContext, initialLanguage, LANGUAGES, storeLanguage } from './i18n.js';
  
 // Constants for viewport dimensions and node/edge configuration
 const width = window.innerWidth;
 const height = window.innerHeight;
-const getNodeId = () => `node_${+new Date()}`; // Generates unique IDs for new nodes
+
+/**
+ * Opacity for something `hops` away from the selection: full for the
+ * selection and its direct neighbors, then fading with every further hop.
+ * @param {number} hops
+ * @param {number} base - opacity at two hops
+ * @param {number} floor - lowest opacity within the neighborhood
+ * @returns {number}
+ */
+const fadeByHops = (hops, base, floor) => (hops <= 1 ? 1 : Math.max(floor, (base * 2) / hops));
+
 const edgeTypes = { floating: FloatingEdge }; // Register custom edge type
-const { nodes: initialNodes, edges: initialEdges } = initialElements();
+const savedWorkspace = loadAutosavedWorkspace(); // Dataset edits, drawn edges and positions from the last session
+const initialDataset = savedWorkspace?.dataset?.rows ?? rawData;
+const { nodes: initialNodes, edges: initialEdges } = restoreWorkspace(
+  initialElements(initialDataset, defaultAliases),
+  savedWorkspace,
+  'company'
+);
 
 /**
  * Custom hook for managing force-directed layout of graph elements
- * This hook handles the physics simulation that positions nodes and edges
- * in a visually appealing way using D3's force simulation
+ * The physics simulation runs in a Web Worker (forceLayoutWorker.js) and
+ * streams positions back until the layout settles. Dragged nodes stay pinned
+ * where they are dropped for the rest of the run; the viewport is left alone,
+ * fitting it is up to the user
+ * @param {object} forces - force settings, see forceLayout.js; changes apply to a running simulation right away
  */
-const useLayoutedElements = () => {
+const useLayoutedElements = (forces) => {
   // Get ReactFlow utilities for node/edge management
-  const { getNodes, setNodes, getEdges, fitView } = useReactFlow();
+  const { getNodes, setNodes, getEdges } = useReactFlow();
   const initialized = useNodesInitialized(); // Check if nodes are ready
 
-  // Calculate force strengths based on viewport aspect ratio
-  const aspectRatio = width / height;
-  const aspectModifier = aspectRatio * 0.8; // Adjust forces based on screen shape
-  const baseStrength = 0.075;
-  const xStrength = baseStrength * (1 / aspectModifier); // Horizontal force
-  const yStrength = baseStrength * aspectModifier;       // Vertical force
-
-  // Configure D3 force simulation
-  const simulation = forceSimulation()
-    .force('charge', forceManyBody().strength(-1200))  // Repulsion between nodes
-    .force('x', forceX().x(0).strength(xStrength))     // Center nodes horizontally
-    .force('y', forceY().y(0).strength(yStrength))     // Center nodes vertically
-    .force('collide', collide())                       // Prevent node overlap
-    .alphaTarget(0.05)                                 // Keep simulation "warm"
-    .stop();                                           // Don't start automatically
-
-  const draggingNodeRef = useRef(null);
-  const runningRef = useRef(false); 
-
-  const dragEvents = useMemo(() => ({
-    start: (_event, node) => (draggingNodeRef.current = node),
-    drag: (_event, node) => (draggingNodeRef.current = node),
-    stop: () => (draggingNodeRef.current = null),
-  }), []);
-
-  return useMemo(() => {
-    const nodes = getNodes().map((node) => ({
-      ...node,
-      x: node.position.x,
-      y: node.position.y,
-    }));
-
-    const edges = getEdges();
+  const workerRef = useRef(null);
+  const indexRef = useRef(new Map());  // Node id -> index in the worker's position stream
+  const draggingRef = useRef(new Set()); // Ids of the nodes being dragged, which the user positions
+  const runningRef = useRef(false);
+  const [running, setRunning] = useState(false);
 
-    if (!initialized || nodes.length === 0) return [false, {}, dragEvents];
+  // The worker goes with the component
+  useEffect(() => () => workerRef.current?.terminate(), []);
 
-    simulation.nodes(nodes).force(
-      'link',
-      forceLink(edges)
-        .id(d => d.id)
-        .strength(0.05)
-        .distance(100)
-    );
+  // Live tuning: hand new settings to the running simulation
+  useEffect(() => {
+    if (runningRef.current) workerRef.current.postMessage({ type: 'forces', forces });
+  }, [forces]);
 
-    const tick = () => {
-      getNodes().forEach((node, i) => {
-        const dragging = draggingNodeRef.current?.id === node.id;
+  const setRunningState = useCallback((value) => {
+    runningRef.current = value;
+    setRunning(value);
+  }, []);
 
-        if (dragging) {
-          nodes[i].fx = draggingNodeRef.current.position.x;
-          nodes[i].fy = draggingNodeRef.current.position.y;
-        } else {
-          delete nodes[i].fx;
-          delete nodes[i].fy;
+  const getWorker = useCallback(() => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('./forceLayoutWorker.js', import.meta.url), { type: 'module' });
+      workerRef.current.onmessage = ({ data }) => {
+        if (!runningRef.current) return; // A frame sent before the simulation was stopped
+        if (data.type === 'end') {
+          setRunningState(false);
+          return;
         }
-      });
-
-      simulation.tick();
-
-      setNodes(prevNodes => {
-        const simMap = new Map(nodes.map(n => [n.id, n]));
-
-        const changes = prevNodes.map(node => {
-          const simNode = simMap.get(node.id);
-          if (!simNode) return null;
-
-          return {
-            id: node.id,
-            type: 'position',
-            position: {
-              x: simNode.fx ?? simNode.x,
-              y: simNode.fy ?? simNode.y,
-            }
-          };
-        }).filter(Boolean);
-
-        return applyNodeChanges(changes, prevNodes);
-      });
+        const { positions } = data;
+        setNodes(prevNodes => prevNodes.map(node => {
+          const i = indexRef.current.get(node.id);
+          if (i === undefined || draggingRef.current.has(node.id)) return node;
+          return { ...node, position: { x: positions[2 * i], y: positions[2 * i + 1] } };
+        }));
+      };
+    }
+    return workerRef.current;
+  }, [setNodes, setRunningState]);
 
-      window.requestAnimationFrame(() => {
-        fitView();
-        if (runningRef.current) tick();
+  const dragEvents = useMemo(() => {
+    const send = (type, dragged) => {
+      if (!runningRef.current) return;
+      workerRef.current.postMessage({
+        type,
+        nodes: dragged.map(n => ({ id: n.id, x: n.position.x, y: n.position.y })),
       });
     };
+    return {
+      start: (_event, node, dragged = [node]) => {
+        draggingRef.current = new Set(dragged.map(n => n.id));
+        send('drag', dragged);
+      },
+      drag: (_event, node, dragged = [node]) => send('drag', dragged),
+      stop: (_event, node, dragged = [node]) => {
+        draggingRef.current = new Set();
+        send('drop', dragged);
+      },
+    };
+  }, []);
 
-    const toggle = () => {
-      if (!runningRef.current) {
-        getNodes().forEach((node, i) => {
-          Object.assign(nodes[i], node);
-          nodes[i].x = node.position.x;
-          nodes[i].y = node.position.y;
-        });
-      }
+  const toggle = () => {
+    if (runningRef.current) {
+      workerRef.current.postMessage({ type: 'stop' });
+      setRunningState(false);
+      return;
+    }
 
-      runningRef.current = !runningRef.current;
-      if (runningRef.current) window.requestAnimationFrame(tick);
-    };
+    const nodes = getNodes();
+    indexRef.current = new Map(nodes.map((node, i) => [node.id, i]));
+    getWorker().postMessage({
+      type: 'start',
+      nodes: nodes.map(node => ({
+        id: node.id,
+        x: node.position.x,
+        y: node.position.y,
+        width: node.measured?.width ?? 0,
+        type: node.data.type,
+      })),
+      edges: getEdges().map(edge => ({ source: edge.source, target: edge.target, weight: edge.data?.weight ?? 1 })),
+      forces,
+    });
+    setRunningState(true);
+  };
 
-    const isRunning = () => runningRef.current;
+  const isRunning = () => running;
 
-    return [true, { toggle, isRunning }, dragEvents];
-  }, [initialized, dragEvents, getNodes, getEdges, setNodes, fitView]);
+  return [initialized && getNodes().length > 0, { toggle, isRunning }, dragEvents];
 };
 
 /**
@@ -179,12 +238,56 @@ const LayoutFlow = () => {
   const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
   
   // Visualization mode state
-  const [edgeMode, setEdgeMode] = useState('company'); // Toggle between company connections and tool interoperability
+  const [edgeMode, setEdgeMode] = useState('company'); // Company connections, tool interoperability or tool <-> file format
+  const [showFormatLabels, setShowFormatLabels] = useState(false); // Label interoperability edges with shared file formats
+  const [similarity, setSimilarity] = useState({ metric: 'jaccard', threshold: 0.3 }); // Overlap measure and cut-off of the 'similarity' mode
+  const [coAdoption, setCoAdoption] = useState({ threshold: 2, highlightUndeclared: true }); // Cut-off and coloring of the 'coadoption' mode
+  const [sizeMetric, setSizeMetric] = useState('degree'); // Network metric that drives node size, see metrics.js
+  const [colorBy, setColorBy] = useState('type'); // Node colors from the type color map or from detected communities
+  const [communityMethod, setCommunityMethod] = useState('louvain'); // Community detection algorithm, see communities.js
+  const [clusterNames, setClusterNames] = useState({}); // Community anchor node -> user-given name
+  const [clusterFilter, setClusterFilter] = useState(null); // Anchor of the only community shown, null for all
+  const [edgeLayers, setEdgeLayers] = useState({ company: true, interoperability: true }); // Edge sets shown in 'combined' mode
   const [selectedNodeId, setSelectedNodeId] = useState(null); // Currently selected node for highlighting
-  const [interoperabilityOrder, setInteroperabilityOrder] = useState(1); // Depth of interoperability connections (1st or 2nd order)
+  const [interoperabilityOrder, setInteroperabilityOrder] = useState(1); // Neighborhood depth: hops from the selected node that are highlighted
+  const [aliases, setAliases] = useState(defaultAliases); // Editable alias -> canonical name map
+  const [dataset, setDataset] = useState(initialDataset); // Rows the graph is built from
+  const [datasetSource, setDatasetSource] = useState(savedWorkspace?.dataset?.source ?? null); // File name of a loaded dataset, null for data.json
+  const [editing, setEditing] = useState(null); // Entry open in the data editor: { name } of the row, name null for a new one
+  const [shareNodePositions, setShareNodePositions] = useState(false); // Include node positions in the URL hash
+  const restoringViewRef = useRef(true); // Set while a view state from the URL is applied, so it is not pushed again
+  const workspaceRef = useRef(savedWorkspace ?? emptyWorkspace()); // User edits per edge mode, see workspace.js
+  const [lastSaved, setLastSaved] = useState(null); // Time of the last workspace autosave
+  const [autosaveFailed, setAutosaveFailed] = useState(false); // The browser refused the last autosave
+  const [comparedCompanies, setComparedCompanies] = useState([]); // Company ids of the 'compare' mode, in pick order
+  const [highlightRecommendations, setHighlightRecommendations] = useState(true); // Outline the tools suggested for a selected company
+  const [pathFinder, setPathFinder] = useState({ source: null, target: null, count: 3, active: 0 }); // Query of the 'path' edge mode
+  const [history, setHistory] = useState(emptyHistory); // Undo/redo stack of graph snapshots, see history.js
+  const [forces, setForces] = useState(() => defaultForces(width, height)); // Settings of the force simulation, see forceLayout.js
+  const dragSnapshotRef = useRef(null); // Graph snapshot from the start of a node drag
+  const [language, setLanguage] = useState(initialLanguage); // Interface language, see i18n.js
+  const i18n = useMemo(() => createI18n(language), [language]);
+  const { t } = i18n;
+
+  // Remember the interface language, and tell the browser for screen readers and hyphenation
+  useEffect(() => {
+    storeLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Resolves references in the dataset to node ids (case/whitespace-insensitive, plus aliases)
+  const resolver = useMemo(() => createNameResolver(dataset.map(item => item.Name), aliases), [dataset, aliases]);
+  // Broken references, unknown types etc. in the dataset
+  const dataIssues = useMemo(() => validateDataset(dataset, { aliases }), [dataset, aliases]);
+  const appliedAliases = useMemo(() => listAppliedAliases(dataset, resolver), [dataset, resolver]);
+  const colorMap = useMemo(() => generateColorMap(dataset), [dataset]);
+  const unresolvedReferences = useMemo(
+    () => [...new Set(dataIssues.filter(i => i.code === 'dangling-reference').map(i => i.reference))],
+    [dataIssues]
+  );
   
   // ReactFlow utility for viewport management
-  const { fitView } = useReactFlow();
+  const { fitView, getNodes, getViewport, setViewport, setCenter } = useReactFlow();
 
   // Extract unique node types and their colors for filtering
   const allTypes = useMemo(() => {
@@ -197,14 +300,51 @@ const LayoutFlow = () => {
     }));
   }, [nodes]);
 
+  // Types offered in the type filter: those taking part in the current edge mode
+  const edgeModeTypes = useMemo(
+    () => allTypes.filter(({ type }) => nodes.some(n => n.data.type === type && isNodeInEdgeMode(n, edgeMode))),
+    [allTypes, nodes, edgeMode]
+  );
+
   // Track which node types are currently visible
   const [activeTypes, setActiveTypes] = useState(new Set(allTypes.map(t => t.type)));
 
+  /**
+   * Everything an undo brings back: dataset edits, drawn edges and positions
+   * per edge mode (as a workspace), the edge mode, the filters and view settings
+   * @returns {object}
+   */
+  const captureSnapshot = () => ({
+    workspace: captureWorkspace(workspaceRef.current, edgeMode, nodes, edges),
+    edgeMode,
+    dataset,
+    datasetSource,
+    hiddenTypes: allTypes.map(t => t.type).filter(type => !activeTypes.has(type)),
+    clusterFilter,
+    edgeLayers,
+    similarity,
+    coAdoption,
+    colorBy,
+    showFormatLabels,
+  });
+
+  /**
+   * Add an action to the undo history; call it before the action changes anything
+   * @param {string} key - i18n key describing the action in the history list
+   * @param {object} [params] - values for the placeholders of the key
+   * @param {object} [options] - see recordAction, e.g. { merge: true } for slider steps
+   */
+  const recordHistory = (key, params, options) => {
+    const snapshot = captureSnapshot();
+    setHistory(prev => recordAction(prev, { key, params }, snapshot, options));
+  };
+
   /**
    * Toggle visibility of nodes of a specific type
    * @param {string} type - The node type to toggle
    */
   const toggleType = (type) => {
+      recordHistory(activeTypes.has(type) ? 'history.hideType' : 'history.showType', { type });
       setActiveTypes(prev => {
         const updated = new Set(prev);
         if (updated.has(type)) {
@@ -217,28 +357,28 @@ const LayoutFlow = () => {
     };
     
     /**
-     * Effect to update node and edge visibility based on active types
-     * Hides/shows nodes and their connected edges when types are toggled
+     * Effect to update node and edge visibility based on active types and edge mode
+     * Hides/shows nodes and their connected edges when types are toggled, and
+     * hides nodes that take no part in the current edge mode (e.g. file formats)
      */
     useEffect(() => {
       setNodes((prevNodes) => {
         // Update node visibility based on their type
         const updatedNodes = prevNodes.map((node) => ({
           ...node,
-          hidden: !activeTypes.has(node.data.type),
+          hidden: !activeTypes.has(node.data.type) || !isNodeInEdgeMode(node, edgeMode),
         }));
 
-        // Create a map of node IDs to their types for edge filtering
-        const nodeTypeMap = new Map();
-        updatedNodes.forEach((n) => nodeTypeMap.set(n.id, n.data.type));
+        // Create a map of node IDs to their visibility for edge filtering
+        const nodeHiddenMap = new Map();
+        updatedNodes.forEach((n) => nodeHiddenMap.set(n.id, n.hidden));
 
-        // Update edge visibility based on their connected nodes' types
+        // Update edge visibility based on their connected nodes
         setEdges((prevEdges) =>
           prevEdges.map((edge) => {
-            const sourceType = nodeTypeMap.get(edge.source);
-            const targetType = nodeTypeMap.get(edge.target);
-            // Edge is visible only if both connected nodes' types are active
-            const visible = activeTypes.has(sourceType) && activeTypes.has(targetType);
+            // Edge is visible only if both connected nodes are visible, and its set is switched on in 'combined' mode
+            const visible = !nodeHiddenMap.get(edge.source) && !nodeHiddenMap.get(edge.target)
+              && (edgeMode !== 'combined' || edgeLayers[edge.data?.kind] !== false);
             return {
               ...edge,
               hidden: !visible,
@@ -248,42 +388,125 @@ const LayoutFlow = () => {
 
         return updatedNodes;
       });
-    }, [activeTypes]);
-
-  // Sets to track nodes and edges for interoperability visualization
-  const firstOrderNodes = new Set();  // Directly connected nodes
-  const firstOrderEdges = new Set();  // Direct connections
-  const secondOrderNodes = new Set(); // Nodes connected through one intermediate
-  const secondOrderEdges = new Set(); // Second-degree connections
-
-  // Calculate interoperability connections when a node is selected
-  if (selectedNodeId) {
-    // Find first-degree connections (direct neighbors)
-    edges.forEach((edge) => {
-      if (edge.source === selectedNodeId || edge.target === selectedNodeId) {
-        firstOrderEdges.add(edge.id);            // Track the direct connection
-        firstOrderNodes.add(edge.source);        // Track connected source node
-        firstOrderNodes.add(edge.target);        // Track connected target node
-      }
+    }, [activeTypes, edgeMode, edgeLayers]);
+
+  // Hop distance from the selected node to every node it can reach over the visible edges
+  const selectionDistances = useMemo(
+    () => (selectedNodeId ? hopDistances(buildAdjacency(edges), selectedNodeId) : new Map()),
+    [edges, selectedNodeId]
+  );
+  // The depth slider goes up to the farthest reachable node
+  const maxNeighborhoodDepth = Math.max(1, ...selectionDistances.values());
+
+  // Network metrics of the visible graph; the key only changes when nodes are shown, hidden, added or removed
+  const visibleNodeKey = nodes.filter(n => !n.hidden).map(n => n.id).join('\n');
+  const visibleNodeIds = useMemo(() => (visibleNodeKey ? visibleNodeKey.split('\n') : []), [visibleNodeKey]);
+
+  // Id and type of every node, for computations on the dataset; the key ignores positions, visibility and styling
+  const nodeTypeKey = nodes.map(n => `${n.id}\t${n.data.type ?? ''}`).join('\n');
+  const typedNodes = useMemo(() => (
+    nodeTypeKey
+      ? nodeTypeKey.split('\n').map(line => {
+        const [id, type] = line.split('\t');
+        return { id, data: { type } };
+      })
+      : []
+  ), [nodeTypeKey]);
+  const metrics = useMemo(() => computeMetrics(visibleNodeIds, edges), [visibleNodeIds, edges]);
+
+  // Communities of the visible graph, and the members of the one the view is filtered to
+  const communities = useMemo(
+    () => detectCommunities(visibleNodeIds, edges, communityMethod),
+    [visibleNodeIds, edges, communityMethod]
+  );
+  const clusterMembers = useMemo(() => {
+    const community = clusterFilter && communities.communities.find(c => c.anchor === clusterFilter);
+    return community ? new Set(community.members) : null;
+  }, [communities, clusterFilter]);
+
+  /**
+   * Node color under the current "color by" choice
+   * @param {object} node
+   * @returns {string}
+   */
+  const nodeColor = useCallback((node) => {
+    if (colorBy !== 'community') return node.data.color;
+    const index = communities.membership.get(node.id);
+    const community = communities.communities[index];
+    return community && community.members.length > 1 ? communityColor(index) : UNCLUSTERED_COLOR;
+  }, [colorBy, communities]);
+
+  // Node sizes from the chosen metric, scaled to the same range as the connection counts
+  const metricSizes = useMemo(() => {
+    if (sizeMetric === 'degree') return null;
+    const values = [...metrics.values()].map(m => m[sizeMetric]);
+    const maxValue = Math.max(...values, 0);
+    const maxSize = Math.max(...[...metrics.values()].map(m => m.degree), 1);
+    return new Map([...metrics].map(([id, m]) => [id, 1 + (maxValue > 0 ? (m[sizeMetric] / maxValue) * (maxSize - 1) : 0)]));
+  }, [metrics, sizeMetric]);
+
+  // Dataset facts about the selected node for the detail panel
+  const nodesById = useMemo(() => new Map(nodes.map(n => [n.id, n])), [nodes]);
+  const selectedNode = selectedNodeId ? nodesById.get(selectedNodeId) : null;
+  const selectedDetails = useMemo(
+    () => (selectedNodeId ? describeNode(selectedNodeId, nodes, dataset, resolver) : null),
+    [selectedNodeId, nodes, dataset, resolver]
+  );
+
+  // Tools suggested for the selected company, ranked
+  const recommendations = useMemo(() => {
+    if (!selectedNodeId || !isCompanyType(typedNodes.find(n => n.id === selectedNodeId)?.data.type)) return null;
+    return recommendTools(selectedNodeId, typedNodes, dataset, resolver);
+  }, [selectedNodeId, typedNodes, dataset, resolver]);
+
+  // Suggested tool id -> rank (1 = best), for outlining them on the canvas
+  const recommendationRanks = useMemo(() => (
+    recommendations && highlightRecommendations
+      ? new Map(recommendations.recommendations.map(({ tool }, index) => [tool, index + 1]))
+      : null
+  ), [recommendations, highlightRecommendations]);
+
+  // Interoperability pairs declared by one side only, for the audit list in every edge mode
+  const asymmetricPairs = useMemo(
+    () => listAsymmetricInteroperability(buildInteroperabilityEdges(typedNodes, dataset, resolver).edges),
+    [typedNodes, dataset, resolver]
+  );
+
+  // Stack comparison of the picked companies in 'compare' mode
+  const comparison = useMemo(() => {
+    if (edgeMode !== 'compare' || comparedCompanies.length < 2) return null;
+    return compareStacks(buildCompanyStacks(typedNodes, dataset, resolver), comparedCompanies);
+  }, [edgeMode, comparedCompanies, typedNodes, dataset, resolver]);
+
+  // Highlight color of every node taking part in the comparison
+  const compareColors = useMemo(() => {
+    if (!comparison) return null;
+    const colors = new Map();
+    comparedCompanies.forEach((company, index) => {
+      const color = COMPARE_COLORS.companies[index % COMPARE_COLORS.companies.length];
+      colors.set(company, color);
+      comparison.unique.get(company).forEach(tool => colors.set(tool, color));
     });
+    comparison.shared.forEach(tool => colors.set(tool, COMPARE_COLORS.shared));
+    comparison.partial.forEach(({ tool }) => colors.set(tool, COMPARE_COLORS.partial));
+    return colors;
+  }, [comparison, comparedCompanies]);
 
-    // If second-order interoperability is enabled, find indirect connections
-    if (interoperabilityOrder === 2) {
-      edges.forEach((edge) => {
-        // Check if this edge connects to any first-order node
-        const isConnectedToFirst = firstOrderNodes.has(edge.source) || firstOrderNodes.has(edge.target);
-        // Avoid counting direct connections again
-        const isDirect = edge.source === selectedNodeId || edge.target === selectedNodeId;
-
-        if (isConnectedToFirst && !isDirect) {
-          secondOrderEdges.add(edge.id);  // Track the indirect connection
-          // Add new nodes that aren't already in first-order set
-          if (!firstOrderNodes.has(edge.source)) secondOrderNodes.add(edge.source);
-          if (!firstOrderNodes.has(edge.target)) secondOrderNodes.add(edge.target);
-        }
-      });
-    }
-  }
+  // Chains of interoperable tools between the path finder's source and target
+  const paths = useMemo(() => {
+    if (edgeMode !== 'path' || !pathFinder.source || !pathFinder.target) return [];
+    return kShortestPaths(buildAdjacency(edges), pathFinder.source, pathFinder.target, pathFinder.count);
+  }, [edgeMode, edges, pathFinder.source, pathFinder.target, pathFinder.count]);
+
+  // Nodes and edges on the path in focus, and on any found path
+  const pathHighlight = useMemo(() => {
+    if (!paths.length) return null;
+    const collect = (list) => ({
+      nodes: new Set(list.flat()),
+      edges: new Set(list.flatMap(path => path.slice(1).map((id, i) => edgeKey(path[i], id)))),
+    });
+    return { active: collect([paths[pathFinder.active] ?? paths[0]]), any: collect(paths) };
+  }, [paths, pathFinder.active]);
 
   /**
    * Apply visual styling to nodes based on their relationship to the selected node
@@ -294,12 +517,27 @@ const LayoutFlow = () => {
   const styledNodes = useMemo(() => {
     return nodes.map((node) => {
       let opacity = 1;
+      let hops;         // Hops from the selected node, shown as a badge
+      let recommended;  // Rank among the tools suggested for the selected company
 
-      if (selectedNodeId) {
-        if (firstOrderNodes.has(node.id)) {
-          opacity = 1;      // Direct connection to selected node
-        } else if (interoperabilityOrder === 2 && secondOrderNodes.has(node.id)) {
-          opacity = 0.5;    // Second-order connection
+      if (pathHighlight) {
+        if (pathHighlight.active.nodes.has(node.id)) {
+          opacity = 1;      // On the path in focus
+        } else if (pathHighlight.any.nodes.has(node.id)) {
+          opacity = 0.5;    // On an alternative path
+        } else {
+          opacity = 0.1;    // Not on any path
+        }
+      } else if (compareColors) {
+        opacity = compareColors.has(node.id) ? 1 : 0.1; // In one of the compared stacks or not
+      } else if (selectedNodeId) {
+        const distance = selectionDistances.get(node.id);
+        recommended = recommendationRanks?.get(node.id);
+        if (distance !== undefined && distance <= interoperabilityOrder) {
+          hops = distance;
+          opacity = fadeByHops(distance, 0.5, 0.15); // Within the neighborhood, fading per hop
+        } else if (recommended) {
+          opacity = 1;      // Suggested for the selected company
         } else {
           opacity = 0.1;    // Not connected to selected node
         }
@@ -307,14 +545,19 @@ const LayoutFlow = () => {
 
       return {
         ...node,
+        hidden: node.hidden || (clusterMembers !== null && !clusterMembers.has(node.id)),
         data: {
           ...node.data,
+          color: compareColors?.get(node.id) ?? nodeColor(node),
+          size: metricSizes?.get(node.id) ?? node.data.size,
           isDimmed: opacity < 1,
           opacity,
+          hops,
+          recommended,
         },
       };
     });
-  }, [nodes, selectedNodeId, firstOrderNodes, secondOrderNodes, interoperabilityOrder]);
+  }, [nodes, selectedNodeId, selectionDistances, interoperabilityOrder, pathHighlight, metricSizes, clusterMembers, nodeColor, compareColors, recommendationRanks]);
 
   /**
    * Apply visual styling to edges based on their relationship to the selected node
@@ -325,86 +568,190 @@ const LayoutFlow = () => {
   const styledEdges = useMemo(() => {
     return edges.map((edge) => {
       let opacity = 1;
+      let strokeWidth = edge.data?.width; // Weighted edges, e.g. company similarity
 
-      if (selectedNodeId) {
-        if (firstOrderEdges.has(edge.id)) {
-          opacity = 1;      // Direct connection
-        } else if (interoperabilityOrder === 2 && secondOrderEdges.has(edge.id)) {
-          opacity = 0.35;   // Second-order connection
+      if (pathHighlight) {
+        const key = edgeKey(edge.source, edge.target);
+        if (pathHighlight.active.edges.has(key)) {
+          opacity = 1;      // Hop on the path in focus
+          strokeWidth = 3;
+        } else if (pathHighlight.any.edges.has(key)) {
+          opacity = 0.35;   // Hop on an alternative path
+        } else {
+          opacity = 0.05;   // Not on any path
+        }
+      } else if (compareColors) {
+        // Company -> tool edges of the compared companies
+        const isCompared = comparedCompanies.includes(edge.source) || comparedCompanies.includes(edge.target);
+        opacity = isCompared ? 1 : 0.05;
+      } else if (selectedNodeId) {
+        // An edge is as far out as the hop it adds: 1 for edges touching the selection
+        const nearest = Math.min(
+          selectionDistances.get(edge.source) ?? Infinity,
+          selectionDistances.get(edge.target) ?? Infinity
+        );
+        const farthest = Math.max(
+          selectionDistances.get(edge.source) ?? Infinity,
+          selectionDistances.get(edge.target) ?? Infinity
+        );
+        if (nearest < interoperabilityOrder) {
+          opacity = fadeByHops(nearest + 1, 0.35, 0.08); // Within the neighborhood, fading per hop
+        } else if (edge.data?.kind === 'interoperability' && farthest <= interoperabilityOrder) {
+          opacity = fadeByHops(farthest, 0.35, 0.08); // Two highlighted tools that talk to each other
         } else {
           opacity = 0.05;   // Unrelated connection
         }
       }
 
+      // Collapse shared file formats into a label on interoperability edges
+      const formats = edge.data?.formats || [];
+      const label = showFormatLabels && ['interoperability', 'combined', 'path'].includes(edgeMode) && formats.length ? formats.join(', ') : null;
+
+      // Company and interoperability edges are told apart by color and dash in 'combined' mode
+      const layer = edgeMode === 'combined' ? EDGE_LAYERS.find(l => l.value === edge.data?.kind) : null;
+      // Co-used tool pairs missing from the declared interoperability stand out in 'coadoption' mode
+      const coAdoptionStroke = edgeMode === 'coadoption' && coAdoption.highlightUndeclared && edge.data?.weight
+        ? COADOPTION_COLORS[edge.data.declared ? 'declared' : 'undeclared']
+        : undefined;
+
       return {
         ...edge,
+        hidden: edge.hidden || (clusterMembers !== null && !(clusterMembers.has(edge.source) && clusterMembers.has(edge.target))),
         data: {
           ...edge.data,
+          stroke: layer?.stroke ?? coAdoptionStroke,
+          dashed: layer?.dashed,
           isDimmed: opacity < 1,
           opacity,
+          strokeWidth,
+          label,
         },
       };
     });
-  }, [edges, selectedNodeId, firstOrderEdges, secondOrderEdges, interoperabilityOrder]);
+  }, [edges, selectedNodeId, selectionDistances, interoperabilityOrder, showFormatLabels, edgeMode, pathHighlight, coAdoption.highlightUndeclared, clusterMembers, compareColors, comparedCompanies]);
 
 
     /**
      * Handle new edge connections between nodes
-     * Creates a new floating edge when nodes are connected by the user
+     * Creates a new floating edge when nodes are connected by the user,
+     * flagged as manual so it survives edge rebuilds and is autosaved
      */
-    const onConnect = useCallback(
-      (params) =>
-        setEdges((eds) =>
-          addEdge(
-            {
-              ...params,
-              type: 'floating',
-            },
-            eds,
-          ),
+    const onConnect = (params) => {
+      recordHistory('history.connect', { source: params.source, target: params.target });
+      setEdges((eds) =>
+        addEdge(
+          {
+            ...params,
+            type: 'floating',
+            data: { manual: true },
+          },
+          eds,
         ),
-      [setEdges],
-    );
+      );
+    };
+
+  /**
+   * Record nodes and edges deleted with the keyboard before ReactFlow removes them
+   * @param {{nodes:Array,edges:Array}} deleted
+   * @returns {Promise<boolean>} always true: the deletion goes ahead
+   */
+  const onBeforeDelete = async ({ nodes: deletedNodes, edges: deletedEdges }) => {
+    if (deletedNodes.length) {
+      recordHistory('history.deleteNodes', { count: deletedNodes.length, name: deletedNodes[0].data.label ?? deletedNodes[0].id });
+    } else if (deletedEdges.length) {
+      recordHistory('history.deleteEdges', { count: deletedEdges.length });
+    }
+    return true;
+  };
+
+  /**
+   * Add a finished node drag to the history, unless the nodes ended up where they started
+   * @param {Array} dragged - the dragged nodes at their new positions
+   */
+  const recordMove = (dragged) => {
+    const snapshot = dragSnapshotRef.current;
+    dragSnapshotRef.current = null;
+    const before = snapshot?.workspace.modes[snapshot.edgeMode].positions ?? {};
+    const moved = dragged.filter(n => before[n.id] && (before[n.id].x !== n.position.x || before[n.id].y !== n.position.y));
+    if (!moved.length) return;
+    const action = { key: 'history.move', params: { count: moved.length, name: moved[0].data.label ?? moved[0].id } };
+    setHistory(prev => recordAction(prev, action, snapshot));
+  };
 
   // Initialize force-directed layout and get control functions
-  const [initialized, { toggle, isRunning }, dragEvents] = useLayoutedElements();
+  const [initialized, { toggle, isRunning }, dragEvents] = useLayoutedElements(forces);
+
+  /**
+   * Start or stop the force simulation; a run is recorded in the history when it starts
+   */
+  const toggleSimulation = () => {
+    if (!isRunning()) recordHistory('history.simulation');
+    toggle();
+  };
 
   /**
    * Arrange nodes in the specified layout (grid or custom arrangement)
    * @param {string} arrangeBy - The layout type to apply
    */
   const handleArrange = (arrangeBy) => {
+    recordHistory(arrangeBy === 'type' ? 'arrange.byType' : 'arrange.byName');
     const newNodes = arrangeNodes(nodes, width, height, arrangeBy);
     setNodes(newNodes);
     fitView();
   };
 
   /**
-   * Add a new user-editable node to the graph
-   * Creates a node with default properties that can be renamed
+   * Arrange nodes in one column per type
    */
-  const handleAddNode = () => {
-    const newNode = {
-      id: getNodeId(),
-      type: 'user',
-      data: { label: 'right-click to name me', editable: true, type:"user" },
-      position: { x: 50, y: 50 },
-    };
-    setNodes(nds => [...nds, newNode]);
+  const handleArrangeVertically = () => {
+    recordHistory('arrange.columns');
+    const newNodes = arrangeNodesVertically(nodes, width, height);
+    setNodes(newNodes);
+    fitView();
+  };
+
+  /**
+   * Open the data editor for a new entry
+   */
+  const handleAddEntry = () => {
+    setEditing({ name: null });
   };
 
   /**
    * Rebuild edge connections based on the current visualization mode
    * Updates node sizes based on their connection count
-   * @param {string} mode - 'company' or 'interoperability'
-   * @param {Array} currentNodes - Current node array, defaults to nodes state
+   * @param {string} mode - one of EDGE_MODES values
+   * @param {object} [current] - Overrides for state that was just replaced
+   * @param {Array} [current.nodes] - Node array, defaults to nodes state
+   * @param {object} [current.resolver] - Name resolver, defaults to the one built from `aliases`
+   * @param {Array} [current.data] - Dataset rows, defaults to dataset state
+   * @param {Array} [current.manualEdges] - User-drawn edges to keep, defaults to those currently shown
+   * @param {Object} [current.positions] - Saved node positions (id -> {x, y}) to move nodes to
+   * @param {object} [current.similarity] - Metric and threshold for 'similarity' mode, defaults to similarity state
+   * @param {number} [current.coAdoptionThreshold] - Minimum co-using companies in 'coadoption' mode, defaults to coAdoption state
    */
-  const rebuildEdges = (mode, currentNodes = nodes) => {
+  const rebuildEdges = (mode, {
+    nodes: currentNodes = nodes,
+    resolver: currentResolver = resolver,
+    data = dataset,
+    manualEdges = edges.filter(e => e.data?.manual),
+    positions = {},
+    similarity: currentSimilarity = similarity,
+    coAdoptionThreshold = coAdoption.threshold,
+  } = {}) => {
     let result;
-    if (mode === 'company') {
-      result = buildCompanyEdges(currentNodes, rawData);       // Company -> Tool connections
+    if (mode === 'company' || mode === 'compare') {
+      result = buildCompanyEdges(currentNodes, data, currentResolver);       // Company -> Tool connections
+    } else if (mode === 'formats') {
+      result = buildFormatEdges(currentNodes, data, currentResolver);        // Tool -> File format connections
+    } else if (mode === 'combined') {
+      result = buildCombinedEdges(currentNodes, data, currentResolver);      // Both of the above, tagged with data.kind
+    } else if (mode === 'similarity') {
+      result = buildSimilarityEdges(currentNodes, data, currentResolver, currentSimilarity); // Company <-> Company by shared tools
+    } else if (mode === 'coadoption') {
+      result = buildCoAdoptionEdges(currentNodes, data, currentResolver, { threshold: coAdoptionThreshold }); // Tool <-> Tool by shared users
     } else {
-      result = buildInteroperabilityEdges(currentNodes, rawData); // Tool -> Tool connections
+      result = buildInteroperabilityEdges(currentNodes, data, currentResolver); // Tool -> Tool connections, also searched in 'path' mode
     }
 
     const newEdges = result.edges || [];
@@ -413,83 +760,708 @@ const LayoutFlow = () => {
     // Update node sizes based on number of connections
     setNodes(prev => prev.map(n => ({
       ...n,
+      position: positions[n.id] ?? n.position,
       data: {
         ...n.data,
         size: connectionCount[n.id] || 1
       }
     })));
 
-    setEdges(newEdges);
+    const nodeIds = new Set(currentNodes.map(n => n.id));
+    const builtIds = new Set(newEdges.map(e => e.id));
+    const keptEdges = manualEdges.filter(e => nodeIds.has(e.source) && nodeIds.has(e.target) && !builtIds.has(e.id));
+
+    // Built edges carry no hidden flag: hide those touching filtered nodes, as the visibility effect does
+    const hiddenIds = new Set(currentNodes
+      .filter(n => !activeTypes.has(n.data.type) || !isNodeInEdgeMode(n, mode))
+      .map(n => n.id));
+    setEdges([...newEdges, ...keptEdges].map(edge => ({
+      ...edge,
+      hidden: hiddenIds.has(edge.source) || hiddenIds.has(edge.target)
+        || (mode === 'combined' && edgeLayers[edge.data?.kind] === false),
+    })));
   };
 
   /**
-   * Toggle between company and interoperability visualization modes
+   * Switch between company, interoperability and file format visualization modes
    * Rebuilds edges to show different relationships between nodes
+   * @param {string} next - one of EDGE_MODES values
    */
-  const toggleEdgeMode = () => {
-    const next = edgeMode === 'company' ? 'interoperability' : 'company';
+  const changeEdgeMode = (next) => {
+    // Park drawn edges and positions of the current mode, pick up those of the next
+    const workspace = captureWorkspace(workspaceRef.current, edgeMode, nodes, edges);
+    workspaceRef.current = workspace;
+    const saved = workspace.modes[next] || {};
+
     setEdgeMode(next);
     setEdges([]); // Clear existing edges
-    rebuildEdges(next); // Build new edges for selected mode
+    rebuildEdges(next, { manualEdges: saved.manualEdges || [], positions: saved.positions }); // Build new edges for selected mode
+  };
+
+  const similarityMetric = SIMILARITY_METRICS.find(m => m.value === similarity.metric); // Slider range of the current metric
+
+  /**
+   * Change the metric or threshold of the similarity view and relink companies
+   * @param {object} changes - { metric } and/or { threshold }
+   */
+  const changeSimilarity = (changes) => {
+    const next = { ...similarity, ...changes };
+    // A threshold on one scale is meaningless on the other
+    if (changes.metric && changes.metric !== similarity.metric) {
+      next.threshold = SIMILARITY_METRICS.find(m => m.value === changes.metric).defaultThreshold;
+    }
+    if (changes.metric) {
+      recordHistory('history.similarityMetric', { metric: changes.metric });
+    } else {
+      recordHistory('history.similarityThreshold', { value: next.threshold }, { merge: true });
+    }
+    setSimilarity(next);
+    rebuildEdges('similarity', { similarity: next });
+  };
+
+  /**
+   * Change the minimum number of companies two tools need in common to be linked
+   * @param {number} threshold
+   */
+  const changeCoAdoptionThreshold = (threshold) => {
+    recordHistory('history.coAdoptionThreshold', { count: threshold }, { merge: true });
+    setCoAdoption(prev => ({ ...prev, threshold }));
+    rebuildEdges('coadoption', { coAdoptionThreshold: threshold });
+  };
+
+  /**
+   * Replace the alias map and rebuild edges so newly matched references show up
+   * @param {Object<string,string>} next - alias -> canonical name
+   */
+  const handleAliasesChange = (next) => {
+    setAliases(next);
+    rebuildEdges(edgeMode, { resolver: createNameResolver(dataset.map(item => item.Name), next) });
+  };
+
+  /**
+   * Replace the dataset and rebuild nodes, colors, the type filter and edges from it
+   * @param {Array} data - dataset rows, e.g. parsed from a dropped CSV or JSON file
+   * @param {string|null} source - file name shown in the UI, null for the bundled data.json
+   * @param {object} [workspace] - user edits to apply on top, defaults to the current ones without dataset edits
+   * @param {object} [options]
+   * @param {boolean} [options.fit=true] - fit the view to the new graph
+   */
+  const loadDataset = (
+    data,
+    source,
+    workspace = { ...captureWorkspace(workspaceRef.current, edgeMode, nodes, edges), dataset: null },
+    { fit = true } = {}
+  ) => {
+    const { nodes: newNodes } = restoreWorkspace(initialElements(data, aliases), workspace, edgeMode);
+    workspaceRef.current = workspace;
+    setDataset(data);
+    setDatasetSource(source);
+    setSelectedNodeId(null);
+    setNodes(newNodes);
+    setActiveTypes(new Set(newNodes.map(n => n.data.type)));
+    rebuildEdges(edgeMode, {
+      nodes: newNodes,
+      resolver: createNameResolver(data.map(item => item.Name), aliases),
+      data,
+      manualEdges: workspace.modes[edgeMode]?.manualEdges || [],
+    });
+    if (fit) window.requestAnimationFrame(() => fitView());
+  };
+
+  /**
+   * Rebuild the graph from rows changed in the data editor, keeping the view,
+   * and record them in the workspace so they survive a reload
+   * @param {Array} data - edited dataset rows
+   * @param {string|null} selectId - node to select afterwards
+   */
+  const editDataset = (data, selectId) => {
+    const workspace = {
+      ...captureWorkspace(workspaceRef.current, edgeMode, nodes, edges),
+      dataset: { rows: data, source: datasetSource },
+    };
+    loadDataset(data, datasetSource, workspace, { fit: false });
+    setSelectedNodeId(selectId);
+    setEditing(null);
+  };
+
+  /**
+   * Save the data editor's form as a new or changed entry
+   * @param {object} form - values of the EntryEditor form
+   */
+  const handleSaveEntry = (form) => {
+    const original = editing.name === null ? {} : dataset.find(item => item.Name === editing.name);
+    const row = entryToRow(form, original);
+    recordHistory(editing.name === null ? 'history.addEntry' : 'history.editEntry', { name: row.Name });
+    editDataset(saveEntry(dataset, editing.name, row, aliases), row.Name);
+  };
+
+  /**
+   * Delete the entry open in the data editor, with all references to it
+   */
+  const handleDeleteEntry = () => {
+    recordHistory('history.deleteEntry', { name: editing.name });
+    editDataset(deleteEntry(dataset, editing.name, aliases), null);
+  };
+
+  // Autosave user edits shortly after the graph stops changing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      workspaceRef.current = captureWorkspace(workspaceRef.current, edgeMode, nodes, edges);
+      const saved = saveAutosavedWorkspace(workspaceRef.current);
+      if (saved) setLastSaved(new Date());
+      setAutosaveFailed(!saved);
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [nodes, edges, edgeMode]);
+
+  /**
+   * Store the current edits under a name
+   * @param {string} name
+   * @returns {boolean} false when the browser refused to store them
+   */
+  const saveWorkspaceAs = (name) => {
+    workspaceRef.current = captureWorkspace(workspaceRef.current, edgeMode, nodes, edges);
+    return saveNamedWorkspace(name, workspaceRef.current);
+  };
+
+  /**
+   * Replace the current edits with a named workspace
+   * @param {string} name
+   */
+  const loadWorkspace = (name) => {
+    const workspace = loadNamedWorkspace(name);
+    if (!workspace) return;
+    recordHistory('history.loadWorkspace', { name });
+    // A workspace without dataset edits applies to the current data
+    const edits = workspace.dataset ?? workspaceRef.current.dataset;
+    loadDataset(edits?.rows ?? dataset, edits ? edits.source : datasetSource, { ...workspace, dataset: edits });
+  };
+
+  /**
+   * Drop all edits and rebuild the graph from the dataset alone. Edited data
+   * goes back to the bundled data.json, since the file it was loaded from is not kept
+   */
+  const resetWorkspace = () => {
+    recordHistory('history.resetWorkspace');
+    clearAutosavedWorkspace();
+    const edited = Boolean(workspaceRef.current.dataset);
+    loadDataset(edited ? rawData : dataset, edited ? null : datasetSource, emptyWorkspace());
+  };
+
+  /**
+   * Bring back a history snapshot: dataset edits, edge mode, drawn edges,
+   * positions and filters. Nodes are only rebuilt when the snapshot has other
+   * data or other nodes than the graph shown now
+   * @param {object} snapshot - from captureSnapshot
+   */
+  const restoreSnapshot = (snapshot) => {
+    const { workspace, edgeMode: mode, dataset: data } = snapshot;
+    const { positions, manualEdges } = workspace.modes[mode];
+    let currentNodes = nodes;
+    let currentResolver = resolver;
+    const sameNodes = data === dataset && nodes.length === Object.keys(positions).length && nodes.every(n => positions[n.id]);
+    if (!sameNodes) {
+      currentNodes = restoreWorkspace(initialElements(data, aliases), workspace, mode).nodes;
+      currentResolver = createNameResolver(data.map(item => item.Name), aliases);
+      setDataset(data);
+      setDatasetSource(snapshot.datasetSource);
+      setNodes(currentNodes);
+      if (!currentNodes.some(n => n.id === selectedNodeId)) setSelectedNodeId(null);
+      setEditing(null);
+    }
+    workspaceRef.current = workspace;
+    setEdgeMode(mode);
+    setActiveTypes(new Set(currentNodes.map(n => n.data.type).filter(type => !snapshot.hiddenTypes.includes(type))));
+    setClusterFilter(snapshot.clusterFilter);
+    setEdgeLayers(snapshot.edgeLayers);
+    setSimilarity(snapshot.similarity);
+    setCoAdoption(snapshot.coAdoption);
+    setColorBy(snapshot.colorBy);
+    setShowFormatLabels(snapshot.showFormatLabels);
+    rebuildEdges(mode, {
+      nodes: currentNodes,
+      resolver: currentResolver,
+      data,
+      manualEdges,
+      positions,
+      similarity: snapshot.similarity,
+      coAdoptionThreshold: snapshot.coAdoption.threshold,
+    });
+  };
+
+  /**
+   * Undo (negative steps) or redo (positive steps) recorded actions
+   * @param {number} steps
+   */
+  const travelHistory = (steps) => {
+    const result = travel(history, captureSnapshot(), steps);
+    if (!result) return;
+    if (isRunning()) toggle(); // A running simulation would move the nodes right back
+    setHistory(result.history);
+    restoreSnapshot(result.snapshot);
+  };
+
+  /**
+   * Serialize the current view (mode, filter, selection, viewport, optionally positions) into the URL hash
+   * @param {boolean} push - add a browser history entry instead of replacing the current one
+   */
+  const writeViewState = (push) => {
+    const hash = encodeViewState({
+      edgeMode,
+      hiddenTypes: allTypes.map(t => t.type).filter(type => !activeTypes.has(type)),
+      selectedNodeId,
+      interoperabilityOrder,
+      viewport: getViewport(),
+      positions: shareNodePositions
+        ? Object.fromEntries(getNodes().map(n => [n.id, n.position]))
+        : undefined,
+    });
+    if (`#${hash}` === window.location.hash) return;
+    window.history[push ? 'pushState' : 'replaceState'](null, '', `#${hash}`);
+  };
+
+  /**
+   * Restore a view decoded from the URL hash
+   * @param {object} view - output of decodeViewState
+   */
+  const applyViewState = (view) => {
+    restoringViewRef.current = true;
+    // Render synchronously so the URL effect below has seen the restored state
+    // before the flag is cleared; a view that only moves the viewport does not run it
+    flushSync(() => {
+      if (view.viewport) setViewport(view.viewport);
+      if (view.edgeMode && view.edgeMode !== edgeMode && EDGE_MODES.some(m => m.value === view.edgeMode)) {
+        changeEdgeMode(view.edgeMode);
+      }
+      if (view.hiddenTypes) {
+        setActiveTypes(new Set(allTypes.map(t => t.type).filter(type => !view.hiddenTypes.includes(type))));
+      }
+      if ('selectedNodeId' in view) setSelectedNodeId(view.selectedNodeId);
+      if (view.interoperabilityOrder) setInteroperabilityOrder(view.interoperabilityOrder);
+      if (view.positions) {
+        setShareNodePositions(true);
+        setNodes(prev => prev.map(n => (view.positions[n.id] ? { ...n, position: view.positions[n.id] } : n)));
+      }
+    });
+    restoringViewRef.current = false;
+  };
+
+  // Keep the latest versions for the listeners and effects below
+  const writeViewStateRef = useRef(writeViewState);
+  writeViewStateRef.current = writeViewState;
+  const applyViewStateRef = useRef(applyViewState);
+  applyViewStateRef.current = applyViewState;
+  const travelHistoryRef = useRef(travelHistory);
+  travelHistoryRef.current = travelHistory;
+
+  // Ctrl+Z undoes and Ctrl+Shift+Z redoes (Cmd on macOS), except while typing in a form field
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      event.preventDefault();
+      travelHistoryRef.current(event.shiftKey ? 1 : -1);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Restore the view from the URL on load, and on back/forward navigation
+  useEffect(() => {
+    // Read the hash now: the effect below rewrites it before the next frame
+    const initialView = decodeViewState(window.location.hash);
+    if (window.location.hash) window.requestAnimationFrame(() => applyViewStateRef.current(initialView));
+
+    const onPopState = () => applyViewStateRef.current(decodeViewState(window.location.hash));
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // Every discrete view change becomes a history entry, except the ones restored from history
+  useEffect(() => {
+    writeViewStateRef.current(!restoringViewRef.current);
+    restoringViewRef.current = false;
+  }, [edgeMode, activeTypes, selectedNodeId, interoperabilityOrder, shareNodePositions]);
+
+  /**
+   * Select a node and animate the viewport to center on it
+   * @param {string} id - node id
+   */
+  const focusNode = (id) => {
+    const node = getNodes().find(n => n.id === id);
+    if (!node) return;
+    setSelectedNodeId(id);
+    setCenter(
+      node.position.x + (node.measured?.width ?? 0) / 2,
+      node.position.y + (node.measured?.height ?? 0) / 2,
+      { zoom: Math.max(getViewport().zoom, 1.2), duration: 600 }
+    );
+  };
+
+  /**
+   * Show a single community, or all of them again
+   * @param {string|null} anchor - anchor node of the community, null for all
+   */
+  const changeClusterFilter = (anchor) => {
+    const community = communities.communities.find(c => c.anchor === anchor);
+    if (community) {
+      recordHistory('history.clusterFilter', { name: clusterName(community, clusterNames, (number) => t('clusters.name', { number })) });
+    } else {
+      recordHistory('history.clusterFilterOff');
+    }
+    setClusterFilter(anchor);
+  };
+
+  /**
+   * Add a company to the comparison, or take it out again
+   * @param {string} id - company node id
+   */
+  const toggleComparedCompany = (id) => {
+    setComparedCompanies(prev => (prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]));
+  };
+
+  /**
+   * In 'path' mode a node click sets the source, then the target; a third
+   * click starts a new query from the clicked node
+   * @param {string} id - node id
+   */
+  const pickPathEnd = (id) => {
+    setPathFinder(prev => (
+      prev.source && !prev.target && prev.source !== id
+        ? { ...prev, target: id, active: 0 }
+        : { ...prev, source: id, target: null, active: 0 }
+    ));
+  };
+
+  /**
+   * Copy a link to the current view to the clipboard
+   */
+  const copyViewLink = () => {
+    writeViewState(false);
+    navigator.clipboard?.writeText(window.location.href);
   };
 
   return (
-    <div style={{ width: '100vw', height: '100vh' }}>
-      <ReactFlow
+    <I18nContext.Provider value={i18n}>
+      <div style={{ width: '100vw', height: '100vh' }}>
+        <ReactFlow
         
-        edgeTypes={edgeTypes}
-        nodeTypes={{custom: CustomNode, user:UserNode}}
-        onPaneClick={() => setSelectedNodeId(null)}
-        nodes={styledNodes}
-        edges={styledEdges}
-        onNodeDragStart={dragEvents.start}
-        onNodeDrag={dragEvents.drag}
-        onNodeDragStop={dragEvents.stop}
-        onNodesChange={onNodesChange}
-        onEdgesChange={onEdgesChange}
-        onNodeClick={(_, node) => setSelectedNodeId(node.id)}
-        onConnect={onConnect}
-        connectionLineComponent={FloatingConnectionLine}
-      >
-
-        <Panel position="top-left">
-          {initialized && (
-            <>
-              <button onClick={toggle} style={{ marginRight: '5px' }}>
-                {isRunning() ? 'Stop' : 'Start'} force simulation
-              </button>
-              <button onClick={handleAddNode}>Add node</button>
-              <button onClick={toggleEdgeMode} style={{ marginLeft: '8px' }}>
-                Edge mode: {edgeMode === 'company' ? 'Company → Designtechs' : 'Interoperability'}
-              </button>
-
-              <label style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', marginTop: "20px" }}>
-              <span>Order of interoperability: {interoperabilityOrder}</span>
-              <label className="switch">
-                <input
-                  type="checkbox"
-                  checked={interoperabilityOrder === 2}
-                  onChange={() =>
-                    setInteroperabilityOrder((prev) => (prev === 1 ? 2 : 1))
-                  }
+          edgeTypes={edgeTypes}
+          nodeTypes={{custom: CustomNode}}
+          onPaneClick={() => setSelectedNodeId(null)}
+          nodes={styledNodes}
+          edges={styledEdges}
+          onNodeDragStart={(event, node, dragged) => {
+            dragEvents.start(event, node, dragged);
+            dragSnapshotRef.current = captureSnapshot();
+          }}
+          onNodeDrag={dragEvents.drag}
+          onNodeDragStop={(event, node, dragged) => {
+            dragEvents.stop(event, node, dragged);
+            recordMove(dragged);
+            if (shareNodePositions) writeViewState(false);
+          }}
+          onMoveEnd={() => writeViewState(false)}
+          onNodesChange={onNodesChange}
+          onEdgesChange={onEdgesChange}
+          onNodeClick={(_, node) => {
+            if (edgeMode === 'path') pickPathEnd(node.id);
+            else if (edgeMode === 'compare' && isCompanyType(node.data.type)) toggleComparedCompany(node.id);
+            else setSelectedNodeId(node.id);
+          }}
+          onConnect={onConnect}
+          onBeforeDelete={onBeforeDelete}
+          connectionLineComponent={FloatingConnectionLine}
+        >
+
+          <Panel position="top-left">
+            {initialized && (
+              <>
+                <button onClick={toggleSimulation} style={{ marginRight: '5px' }}>
+                  {isRunning() ? t('app.stopSimulation') : t('app.startSimulation')}
+                </button>
+                <button onClick={handleAddEntry}>{t('app.addEntry')}</button>
+                <button
+                  onClick={() => downloadFile('data.json', serializeDataset(dataset), 'application/json')}
+                  style={{ marginLeft: '5px' }}
+                  title={t('app.downloadDataTitle')}
+                >
+                  {t('app.downloadData')}
+                </button>
+                <DatasetLoader
+                  source={datasetSource}
+                  onLoad={(rows, source) => {
+                    recordHistory('history.loadDataset', { name: source });
+                    loadDataset(rows, source);
+                  }}
+                  onReset={() => {
+                    recordHistory('history.loadDataset', { name: 'data.json' });
+                    loadDataset(rawData, null);
+                  }}
                 />
-                <span className="slider" />
-              </label>
-            </label>
-            </>
-          )}
-        </Panel>
-        <TypeFilterPanel types={allTypes} activeTypes={activeTypes} toggleType={toggleType} />
-        <MiniMap />
-        <Controls />
-        <ArrangeButton onClick={handleArrange} onVerticalClick={() => {
-          const newNodes = arrangeNodesVertically(nodes, width, height);
-          setNodes(newNodes);
-          fitView();
-        }} position="top-right" />
-        <Background variant="dots" gap={12} size={1} />
-      </ReactFlow>
-    </div>
+                <button onClick={copyViewLink} style={{ marginLeft: '8px' }} title={t('app.copyLinkTitle')}>
+                  {t('app.copyLink')}
+                </button>
+                <label style={{ marginLeft: '4px', fontSize: 12 }}>
+                  <input
+                    type="checkbox"
+                    checked={shareNodePositions}
+                    onChange={(e) => setShareNodePositions(e.target.checked)}
+                  />
+                  {t('app.withPositions')}
+                </label>
+                <label style={{ marginLeft: '8px' }}>
+                  {t('app.language')}:{' '}
+                  <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+                    {LANGUAGES.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label style={{ marginLeft: '8px' }}>
+                  {t('app.colorBy')}:{' '}
+                  <select
+                    value={colorBy}
+                    onChange={(e) => {
+                      recordHistory(e.target.value === 'community' ? 'history.colorByCommunity' : 'history.colorByType');
+                      setColorBy(e.target.value);
+                    }}
+                  >
+                    <option value="type">{t('app.colorByType')}</option>
+                    <option value="community">{t('app.colorByCommunity')}</option>
+                  </select>
+                </label>
+                <label style={{ marginLeft: '8px' }}>
+                  {t('app.edgeMode')}:{' '}
+                  <select
+                    value={edgeMode}
+                    onChange={(e) => {
+                      recordHistory('history.edgeMode', { mode: e.target.value });
+                      changeEdgeMode(e.target.value);
+                    }}
+                  >
+                    {EDGE_MODES.map(({ value }) => (
+                      <option key={value} value={value}>{t(`edgeModes.${value}`)}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginLeft: '10px', marginTop: "20px" }}>
+                  <span>{t('app.neighborhoodDepth', { depth: interoperabilityOrder })}</span>
+                  <input
+                    type="range"
+                    min={1}
+                    max={Math.max(maxNeighborhoodDepth, interoperabilityOrder)}
+                    value={interoperabilityOrder}
+                    onChange={(e) => setInteroperabilityOrder(Number(e.target.value))}
+                    title={selectedNodeId ? t('app.neighborhoodReach', { count: maxNeighborhoodDepth }) : t('app.neighborhoodHint')}
+                  />
+                </label>
+
+                {edgeMode === 'similarity' && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginLeft: '10px', marginTop: '8px' }}>
+                    <select value={similarity.metric} onChange={(e) => changeSimilarity({ metric: e.target.value })}>
+                      {SIMILARITY_METRICS.map(({ value }) => (
+                        <option key={value} value={value}>{t(`similarityMetrics.${value}`)}</option>
+                      ))}
+                    </select>
+                    <span>{t('app.atLeast', { value: similarity.threshold })}</span>
+                    <input
+                      type="range"
+                      min={similarityMetric.min}
+                      max={similarityMetric.max}
+                      step={similarityMetric.step}
+                      value={similarity.threshold}
+                      onChange={(e) => changeSimilarity({ threshold: Number(e.target.value) })}
+                    />
+                  </div>
+                )}
+
+                {edgeMode === 'coadoption' && (
+                  <>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginLeft: '10px', marginTop: '8px' }}>
+                      <span>{t('app.coAdoptionThreshold', { count: coAdoption.threshold })}</span>
+                      <input
+                        type="range"
+                        min={1}
+                        max={10}
+                        value={coAdoption.threshold}
+                        onChange={(e) => changeCoAdoptionThreshold(Number(e.target.value))}
+                      />
+                    </div>
+                    <label style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', marginTop: '8px' }}>
+                      <span style={{ color: COADOPTION_COLORS.undeclared }}>
+                        {t('app.highlightUndeclared', {
+                          undeclared: edges.filter(e => e.data?.weight && !e.data.declared).length,
+                          total: edges.filter(e => e.data?.weight).length,
+                        })}
+                      </span>
+                      <label className="switch">
+                        <input
+                          type="checkbox"
+                          checked={coAdoption.highlightUndeclared}
+                          onChange={() => {
+                            recordHistory(coAdoption.highlightUndeclared ? 'history.undeclaredOff' : 'history.undeclaredOn');
+                            setCoAdoption(prev => ({ ...prev, highlightUndeclared: !prev.highlightUndeclared }));
+                          }}
+                        />
+                        <span className="slider" />
+                      </label>
+                    </label>
+                  </>
+                )}
+
+                {edgeMode === 'combined' && EDGE_LAYERS.map(({ value, stroke, dashed }) => (
+                  <label key={value} style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', marginTop: '8px' }}>
+                    <svg width="24" height="8" style={{ marginRight: '6px' }}>
+                      <line x1="0" y1="4" x2="24" y2="4" stroke={stroke} strokeWidth="2" strokeDasharray={dashed ? '6 4' : undefined} />
+                    </svg>
+                    <span>{t(`edgeLayers.${value}`)}</span>
+                    <label className="switch">
+                      <input
+                        type="checkbox"
+                        checked={edgeLayers[value]}
+                        onChange={() => {
+                          recordHistory(edgeLayers[value] ? 'history.hideLayer' : 'history.showLayer', { layer: value });
+                          setEdgeLayers((prev) => ({ ...prev, [value]: !prev[value] }));
+                        }}
+                      />
+                      <span className="slider" />
+                    </label>
+                  </label>
+                ))}
+
+                {['interoperability', 'combined', 'path'].includes(edgeMode) && (
+                  <label style={{ display: 'flex', alignItems: 'center', marginLeft: '10px', marginTop: '8px' }}>
+                    <span>{t('app.showFormats')}</span>
+                    <label className="switch">
+                      <input
+                        type="checkbox"
+                        checked={showFormatLabels}
+                        onChange={() => {
+                          recordHistory(showFormatLabels ? 'history.hideFormats' : 'history.showFormats');
+                          setShowFormatLabels((prev) => !prev);
+                        }}
+                      />
+                      <span className="slider" />
+                    </label>
+                  </label>
+                )}
+              </>
+            )}
+          </Panel>
+          <SearchPanel nodes={nodes} onSelect={focusNode} />
+          <Panel position="center-right" style={{ display: 'flex', flexDirection: 'column', gap: 6 }}>
+            {editing && (
+              <EntryEditor
+                key={editing.name ?? ''}
+                row={editing.name === null ? null : dataset.find(item => item.Name === editing.name) ?? null}
+                names={dataset.map(item => item.Name).filter(Boolean).sort((a, b) => a.localeCompare(b))}
+                types={[...new Set(dataset.map(item => item.Type).filter(Boolean))].sort((a, b) => a.localeCompare(b))}
+                onSave={handleSaveEntry}
+                onDelete={handleDeleteEntry}
+                onCancel={() => setEditing(null)}
+              />
+            )}
+            {edgeMode === 'path' && (
+              <PathPanel
+                nodes={nodes.filter(n => !n.hidden)}
+                edges={edges}
+                finder={pathFinder}
+                paths={paths}
+                onChange={setPathFinder}
+              />
+            )}
+            {edgeMode === 'compare' && (
+              <ComparePanel
+                companies={nodes
+                  .filter(n => isCompanyType(n.data.type))
+                  .sort((a, b) => String(a.data.label).localeCompare(String(b.data.label)))}
+                selected={comparedCompanies}
+                onChange={setComparedCompanies}
+                comparison={comparison}
+                nodesById={nodesById}
+              />
+            )}
+            {selectedNode && selectedDetails && (
+              <NodeDetailPanel
+                node={styledNodes.find(n => n.id === selectedNodeId) ?? selectedNode}
+                details={selectedDetails}
+                nodesById={nodesById}
+                onSelect={focusNode}
+                onClose={() => setSelectedNodeId(null)}
+                onEdit={selectedDetails.row ? () => setEditing({ name: selectedDetails.row.Name }) : null}
+              />
+            )}
+            {selectedNode && recommendations && (
+              <RecommendationPanel
+                company={selectedNode.data.label ?? selectedNode.id}
+                result={recommendations}
+                nodesById={nodesById}
+                onSelect={focusNode}
+                highlight={highlightRecommendations}
+                onHighlightChange={setHighlightRecommendations}
+              />
+            )}
+          </Panel>
+          <TypeFilterPanel types={edgeModeTypes} activeTypes={activeTypes} toggleType={toggleType} />
+          <Panel position="bottom-left" style={{ left: 50, display: 'flex', flexDirection: 'column', gap: 6 }}>
+            <AliasPanel
+              applied={appliedAliases}
+              unresolved={unresolvedReferences}
+              names={nodes.map(n => n.id).sort((a, b) => a.localeCompare(b))}
+              aliases={aliases}
+              onChange={handleAliasesChange}
+            />
+            <InteroperabilityAuditPanel pairs={asymmetricPairs} onSelect={focusNode} />
+            <DataIssuesPanel
+              issues={dataIssues}
+              onSelect={(name) => nodes.some(n => n.id === name) && setSelectedNodeId(name)}
+            />
+          </Panel>
+          <MiniMap nodeColor={(node) => node.data.color} />
+          <Controls />
+          <ArrangeButton onClick={handleArrange} onVerticalClick={handleArrangeVertically} position="top-right" />
+          <ExportMenu nodes={styledNodes} edges={styledEdges} edgeMode={edgeMode} />
+          <ImageExportPanel
+            colorMap={colorMap}
+            legend={colorBy === 'community'
+              ? communities.communities
+                .filter(c => c.members.length > 1)
+                .map(c => ({ type: clusterName(c, clusterNames, (number) => t('clusters.name', { number })), color: communityColor(c.index) }))
+              : null}
+          />
+          <Panel position="bottom-right" style={{ bottom: 170, display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 6 }}>
+            <WorkspacePanel
+              lastSaved={lastSaved}
+              autosaveFailed={autosaveFailed}
+              onSave={saveWorkspaceAs}
+              onLoad={loadWorkspace}
+              onReset={resetWorkspace}
+            />
+            <HistoryPanel history={history} onTravel={travelHistory} />
+            <ForceLayoutPanel forces={forces} defaults={defaultForces(width, height)} onChange={setForces} />
+            <MetricsPanel
+              metrics={metrics}
+              nodes={nodes}
+              sizeMetric={sizeMetric}
+              onSizeMetricChange={setSizeMetric}
+              onSelect={focusNode}
+            />
+            <ClusterPanel
+              result={communities}
+              method={communityMethod}
+              onMethodChange={setCommunityMethod}
+              names={clusterNames}
+              onRename={(anchor, name) => setClusterNames(prev => ({ ...prev, [anchor]: name }))}
+              filter={clusterMembers ? clusterFilter : null}
+              onFilterChange={changeClusterFilter}
+            />
+          </Panel>
+          <Background variant="dots" gap={12} size={1} />
+        </ReactFlow>
+      </div>
+    </I18nContext.Provider>
   );
 };
  
@@ -1,16 +1,19 @@
 import { Panel } from '@xyflow/react';
+import { useI18n } from './i18n.js';
 
 function ArrangeButtonPanel({ onClick, onVerticalClick, position = 'top-right' }) {
+  const { t } = useI18n();
+
   return (
     <Panel position={position} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
       <button onClick={() => onClick('label')}>
-        Arrange by Name
+        {t('arrange.byName')}
       </button>
       <button onClick={() => onClick('type')}>
-        Arrange by Type
+        {t('arrange.byType')}
       </button>
-      <button onClick={onVerticalClick} title="Arrange vertically by type">
-        Arrange in columns
+      <button onClick={onVerticalClick} title={t('arrange.columnsTitle')}>
+        {t('arrange.columns')}
       </button>
     </Panel>
   );
@@ -0,0 +1,70 @@
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { clusterName, COMMUNITY_METHODS, communityColor } from './communities.js';
+import { useI18n } from './i18n.js';
+
+/**
+ * Lists the detected communities of the current edge set. Clusters can be
+ * named, and the graph can be filtered down to a single one.
+ *
+ * @param {object} props
+ * @param {{communities:Array,modularity:number}} props.result - output of detectCommunities
+ * @param {string} props.method - one of COMMUNITY_METHODS values
+ * @param {Function} props.onMethodChange - called with a COMMUNITY_METHODS value
+ * @param {Object<string,string>} props.names - cluster anchor -> name
+ * @param {Function} props.onRename - called with (anchor, name)
+ * @param {string|null} props.filter - anchor of the cluster shown alone, or null
+ * @param {Function} props.onFilterChange - called with an anchor or null
+ */
+const ClusterPanel = ({ result, method, onMethodChange, names, onRename, filter, onFilterChange }) => {
+  const clusters = result.communities.filter(c => c.members.length > 1);
+  const unclustered = result.communities.length - clusters.length;
+  const { t } = useI18n();
+
+  return (
+    <CollapsibleBox title={t('clusters.title', { count: clusters.length })} maxWidth={300}>
+      <label style={{ display: 'block', marginBottom: 4 }}>
+        {t('clusters.method')}:{' '}
+        <select value={method} onChange={(e) => onMethodChange(e.target.value)} style={{ fontSize: 11 }}>
+          {COMMUNITY_METHODS.map(({ value }) => <option key={value} value={value}>{t(`communityMethods.${value}`)}</option>)}
+        </select>
+        <span style={{ color: '#777' }}> {t('clusters.modularity', { value: result.modularity.toFixed(2) })}</span>
+      </label>
+
+      {clusters.map(community => (
+        <div key={community.anchor} style={{ display: 'flex', gap: 4, alignItems: 'center', marginTop: 2 }}>
+          <span style={{
+            width: 10,
+            height: 10,
+            borderRadius: '50%',
+            flexShrink: 0,
+            backgroundColor: communityColor(community.index),
+          }} />
+          <input
+            type="text"
+            value={names[community.anchor] ?? ''}
+            placeholder={clusterName(community, {}, (number) => t('clusters.name', { number }))}
+            onChange={(e) => onRename(community.anchor, e.target.value)}
+            title={community.members.join(', ')}
+            style={{ flex: 1, minWidth: 0, fontSize: 11 }}
+          />
+          <span style={{ color: '#777' }}>{community.members.length}</span>
+          <a
+            href="#"
+            onClick={(e) => {
+              e.preventDefault();
+              onFilterChange(filter === community.anchor ? null : community.anchor);
+            }}
+          >
+            {filter === community.anchor ? t('clusters.showAll') : t('clusters.only')}
+          </a>
+        </div>
+      ))}
+
+      {unclustered > 0 && (
+        <div style={{ color: '#777', marginTop: 4 }}>{t('clusters.unclustered', { count: unclustered })}</div>
+      )}
+    </CollapsibleBox>
+  );
+};
+
+export default ClusterPanel;
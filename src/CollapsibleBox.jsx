@@ -0,0 +1,34 @@
+import { useState } from 'react';
+
+/**
+ * White box with a clickable header that shows or hides its content.
+ * Used for the informational panels stacked along the edges of the canvas.
+ */
+const CollapsibleBox = ({ title, defaultOpen = false, maxWidth = 360, children }) => {
+  const [open, setOpen] = useState(defaultOpen);
+
+  return (
+    <div style={{
+      backgroundColor: '#fff',
+      color: '#213547',
+      border: '1px solid #ccc',
+      borderRadius: 4,
+      fontSize: 12,
+      maxWidth,
+    }}>
+      <button
+        onClick={() => setOpen(o => !o)}
+        style={{ width: '100%', textAlign: 'left', padding: '4px 8px', fontSize: 12 }}
+      >
+        {open ? '▾' : '▸'} {title}
+      </button>
+      {open && (
+        <div style={{ maxHeight: 300, overflowY: 'auto', padding: '4px 8px' }}>
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollapsibleBox;
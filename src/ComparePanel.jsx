@@ -0,0 +1,103 @@
+import { COMPARE_COLORS, groupByType } from './utils.js';
+import { useI18n } from './i18n.js';
+
+const headingStyle = { fontWeight: 'bold', marginTop: 8 };
+
+/**
+ * Company pickers and the stack comparison for the 'compare' edge mode:
+ * similarity scores, the tools all companies share, tools shared by some,
+ * and each company's unique tools by type.
+ *
+ * @param {object} props
+ * @param {Array} props.companies - company ReactFlow nodes that can be compared
+ * @param {string[]} props.selected - ids of the compared companies, in pick order
+ * @param {Function} props.onChange - called with the new list of compared ids
+ * @param {object|null} props.comparison - output of compareStacks, null with fewer than two companies
+ * @param {Map<string,object>} props.nodesById - all ReactFlow nodes by id
+ */
+const ComparePanel = ({ companies, selected, onChange, comparison, nodesById }) => {
+  const { t, typeName } = useI18n();
+  const label = (id) => nodesById.get(id)?.data.label ?? id;
+  const colorOf = (id) => COMPARE_COLORS.companies[selected.indexOf(id) % COMPARE_COLORS.companies.length];
+
+  const toggle = (id) => onChange(selected.includes(id) ? selected.filter(c => c !== id) : [...selected, id]);
+
+  const renderTools = (ids) => (
+    groupByType(ids, nodesById).map(([type, group]) => (
+      <div key={type} style={{ paddingLeft: 8 }}>
+        <span style={{ color: '#777' }}>{typeName(type)}: </span>
+        {group.map(label).join(', ')}
+      </div>
+    ))
+  );
+
+  const swatch = (color) => (
+    <span style={{ display: 'inline-block', width: 10, height: 10, borderRadius: '50%', marginRight: 4, backgroundColor: color }} />
+  );
+
+  return (
+    <div style={{
+      backgroundColor: '#fff',
+      color: '#213547',
+      border: '1px solid #ccc',
+      borderRadius: 4,
+      fontSize: 12,
+      padding: '6px 8px',
+      width: 300,
+      maxHeight: '60vh',
+      overflowY: 'auto',
+    }}>
+      <div style={{ fontWeight: 'bold', marginBottom: 4 }}>{t('compare.title')}</div>
+      <div style={{ color: '#777', marginBottom: 4 }}>{t('compare.hint')}</div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2px 8px', maxHeight: 120, overflowY: 'auto' }}>
+        {companies.map(company => (
+          <label key={company.id} style={{ whiteSpace: 'nowrap' }}>
+            <input type="checkbox" checked={selected.includes(company.id)} onChange={() => toggle(company.id)} />
+            {selected.includes(company.id) && swatch(colorOf(company.id))}
+            {company.data.label ?? company.id}
+          </label>
+        ))}
+      </div>
+
+      {comparison && (
+        <>
+          <div style={headingStyle}>
+            {t('compare.similarity', { value: comparison.similarity.toFixed(2) })}
+          </div>
+          {comparison.pairs.length > 1 && comparison.pairs.map(({ a, b, similarity, shared }) => (
+            <div key={`${a}|${b}`} style={{ paddingLeft: 8 }}>
+              {label(a)} ↔ {label(b)}: {similarity.toFixed(2)} ({t('compare.pairShared', { count: shared })})
+            </div>
+          ))}
+
+          <div style={headingStyle}>{swatch(COMPARE_COLORS.shared)}{t('compare.usedByAll', { count: comparison.shared.length })}</div>
+          {comparison.shared.length ? renderTools(comparison.shared) : <div style={{ paddingLeft: 8, color: '#777' }}>{t('compare.none')}</div>}
+
+          {comparison.partial.length > 0 && (
+            <>
+              <div style={headingStyle}>{swatch(COMPARE_COLORS.partial)}{t('compare.usedBySome', { count: comparison.partial.length })}</div>
+              {comparison.partial.map(({ tool, companies: users }) => (
+                <div key={tool} style={{ paddingLeft: 8 }}>
+                  {label(tool)} <span style={{ color: '#777' }}>({users.map(label).join(', ')})</span>
+                </div>
+              ))}
+            </>
+          )}
+
+          {selected.map(company => (
+            <div key={company}>
+              <div style={headingStyle}>
+                {swatch(colorOf(company))}{t('compare.only', { name: label(company), count: comparison.unique.get(company).length })}
+              </div>
+              {comparison.unique.get(company).length
+                ? renderTools(comparison.unique.get(company))
+                : <div style={{ paddingLeft: 8, color: '#777' }}>{t('compare.none')}</div>}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
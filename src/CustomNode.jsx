@@ -1,43 +1,25 @@
 import { memo } from 'react';
-import { Handle, Position, NodeToolbar } from '@xyflow/react';
+import { Handle, Position } from '@xyflow/react';
+import { RECOMMENDATION_COLOR } from './utils.js';
+import { useI18n } from './i18n.js';
 
-const CustomNode = ({ data, selected }) => {
+const CustomNode = ({ data }) => {
+  const { t } = useI18n();
   const baseSize = 8;
   const scale = (Math.log(10*data.size)); // dampens size growth
   const padding = baseSize * scale;
 
   return (
     <>
-      <NodeToolbar isVisible={selected} position={Position.Top}>
-        <div style={{
-          padding: '4px 8px',
-          fontSize: 12,
-          backgroundColor: '#fff',
-          border: '1px solid #ccc',
-          borderRadius: 4
-        }}>
-          <div><strong>{data.type}</strong>{data.description ? `: ${data.description}` : ''}</div>
-          {data.website && (
-            <div><strong>Website: </strong>
-            <a
-              href={data.website}
-              target="_blank"
-              rel="noopener noreferrer"
-              style={{ color: '#0077cc', textDecoration: 'underline' }}
-            >
-              {data.website}
-            </a>
-            </div>
-          )}
-        </div>
-      </NodeToolbar>
-
       <div
         style={{
+          position: 'relative',
           padding: `${padding / 4}px ${padding / 2}px`,
           backgroundColor: data.color,
           border: '1px solid #aaa',
           borderRadius: 6,
+          outline: data.recommended ? `2px dashed ${RECOMMENDATION_COLOR}` : 'none',
+          outlineOffset: 3,
           textAlign: 'center',
           fontSize: `${10 + scale * 2}px`,
           opacity: data.opacity ?? 1,
@@ -46,8 +28,29 @@ const CustomNode = ({ data, selected }) => {
           color: data.type.toLowerCase() === 'company' ? '#ffffff' : 'inherit',
           fontWeight: data.type.toLowerCase() === 'company' ? 'bold' : 'normal'
         }}
+        title={data.recommended ? t('node.suggested', { rank: data.recommended }) : undefined}
       >
         {data.label}
+        {data.hops > 0 && (
+          <span
+            title={t('node.hopsFromSelection', { count: data.hops })}
+            style={{
+              position: 'absolute',
+              top: -8,
+              right: -8,
+              minWidth: 16,
+              height: 16,
+              lineHeight: '16px',
+              borderRadius: 8,
+              backgroundColor: '#213547',
+              color: '#fff',
+              fontSize: 10,
+              fontWeight: 'bold',
+            }}
+          >
+            {data.hops}
+          </span>
+        )}
       </div>
 
       <Handle 
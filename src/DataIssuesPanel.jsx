@@ -0,0 +1,42 @@
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { countIssues, groupIssues } from './validation.js';
+import { useI18n } from './i18n.js';
+
+const severityColors = {
+  error: '#c62828',
+  warning: '#ef6c00',
+  info: '#607d8b',
+};
+
+/**
+ * Collapsible list of problems found by validateDataset.
+ * Clicking an entry selects the node it belongs to.
+ */
+const DataIssuesPanel = ({ issues, onSelect }) => {
+  const { t } = useI18n();
+  if (issues.length === 0) return null;
+
+  const counts = countIssues(issues);
+
+  return (
+    <CollapsibleBox title={t('issues.title', { errors: counts.error, warnings: counts.warning, notes: counts.info })}>
+      {groupIssues(issues).map(({ code, issues: group }) => (
+        <div key={code} style={{ marginBottom: 6 }}>
+          <div style={{ fontWeight: 'bold' }}>{t(`issues.${code}`)} ({group.length})</div>
+          {group.map((issue, i) => (
+            <div
+              key={`${issue.name}-${i}`}
+              onClick={() => onSelect?.(issue.name)}
+              style={{ cursor: onSelect ? 'pointer' : 'default', paddingLeft: 8 }}
+            >
+              <span style={{ color: severityColors[issue.severity] }}>●</span>{' '}
+              <strong>{issue.name}</strong>: {t(`issueMessages.${code}`, { name: issue.name, field: issue.field, reference: issue.reference ?? '' })}
+            </div>
+          ))}
+        </div>
+      ))}
+    </CollapsibleBox>
+  );
+};
+
+export default DataIssuesPanel;
@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+import { parseDatasetFile } from './dataset.js';
+import { useI18n } from './i18n.js';
+
+/**
+ * File picker and window-wide drop target for loading a dataset at runtime.
+ * Accepts a CSV export of the master sheet or a JSON file with the data.json
+ * schema and hands the parsed rows to `onLoad`.
+ *
+ * @param {object} props
+ * @param {Function} props.onLoad - called with (rows, fileName)
+ * @param {Function} props.onReset - restores the bundled dataset
+ * @param {string|null} props.source - name of the loaded file, null for the bundled data
+ */
+const DatasetLoader = ({ onLoad, onReset, source }) => {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const { t } = useI18n();
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      const rows = parseDatasetFile(file.name, await file.text());
+      setError(null);
+      onLoad(rows, file.name);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Keep the latest loader for the window listeners registered once below
+  const loadFileRef = useRef(loadFile);
+  loadFileRef.current = loadFile;
+
+  useEffect(() => {
+    const hasFiles = (event) => event.dataTransfer?.types?.includes('Files');
+    const onDragOver = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      setDragging(true);
+    };
+    const onDragLeave = (event) => {
+      // relatedTarget is null when the pointer leaves the window
+      if (!event.relatedTarget) setDragging(false);
+    };
+    const onDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      setDragging(false);
+      loadFileRef.current(event.dataTransfer.files[0]);
+    };
+
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('dragleave', onDragLeave);
+    window.addEventListener('drop', onDrop);
+    return () => {
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('dragleave', onDragLeave);
+      window.removeEventListener('drop', onDrop);
+    };
+  }, []);
+
+  return (
+    <>
+      <button onClick={() => inputRef.current?.click()} style={{ marginLeft: '8px' }} title={t('loader.loadTitle')}>
+        {t('loader.load')}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          loadFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+      {source && (
+        <span style={{ marginLeft: '8px', fontSize: 12 }}>
+          {source}{' '}
+          <a href="#" onClick={(e) => { e.preventDefault(); onReset(); }}>{t('loader.useBuiltIn')}</a>
+        </span>
+      )}
+      {error && <div style={{ color: '#c62828', fontSize: 12, marginTop: 4 }}>{error}</div>}
+
+      {dragging && (
+        <div style={{
+          position: 'fixed',
+          inset: 0,
+          zIndex: 1000,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          backgroundColor: 'rgba(30, 64, 175, 0.15)',
+          border: '4px dashed #1E40AF',
+          color: '#1E40AF',
+          fontSize: 24,
+          fontWeight: 'bold',
+          pointerEvents: 'none',
+        }}>
+          {t('loader.drop')}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DatasetLoader;
@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { getDesigntechs, getInteroperability, isCompanyType, normalizeName } from './dataset.js';
+import { useI18n } from './i18n.js';
+
+const NEW_TYPE = '__new__';
+
+const fieldStyle = { display: 'flex', flexDirection: 'column', gap: 2, marginTop: 6 };
+const inputStyle = { fontSize: 12, padding: '2px 4px' };
+
+/**
+ * Form for adding, editing or deleting a dataset entry: Name, Type (an
+ * existing one or a new one), descriptions, Website, and the Interoperability
+ * or, for a company, Designtechs references picked from the other entries.
+ *
+ * @param {object} props
+ * @param {object|null} props.row - dataset row being edited, null to add an entry
+ * @param {string[]} props.names - Names of all entries, for the reference pickers and the duplicate check
+ * @param {string[]} props.types - Type values in use
+ * @param {Function} props.onSave - called with the form values (see entryToRow)
+ * @param {Function} props.onDelete - deletes the edited entry
+ * @param {Function} props.onCancel - closes the editor
+ */
+const EntryEditor = ({ row, names, types, onSave, onDelete, onCancel }) => {
+  const { t, typeName } = useI18n();
+  const [form, setForm] = useState(() => ({
+    Name: row?.Name ?? '',
+    Type: row?.Type ?? types[0] ?? '',
+    Description: row?.Description ?? '',
+    Description_en: row?.Description_en ?? '',
+    Website: row?.Website ?? '',
+    Interoperability: row ? getInteroperability(row) : [],
+    Designtechs: row ? getDesigntechs(row) : [],
+  }));
+  const [customType, setCustomType] = useState(false);
+
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const trimmedName = form.Name.trim();
+  const taken = names.some(name => name !== row?.Name && normalizeName(name) === normalizeName(trimmedName));
+  const error = !trimmedName ? t('editor.nameRequired')
+    : taken ? t('editor.nameTaken', { name: trimmedName })
+      : !form.Type.trim() ? t('editor.typeRequired')
+        : null;
+  const isCompany = isCompanyType(form.Type);
+
+  const renderText = (key, label, multiline = false) => (
+    <label style={fieldStyle}>
+      {label}
+      {multiline
+        ? <textarea rows={3} value={form[key]} onChange={(e) => update({ [key]: e.target.value })} style={inputStyle} />
+        : <input type="text" value={form[key]} onChange={(e) => update({ [key]: e.target.value })} style={inputStyle} />}
+    </label>
+  );
+
+  // References as removable chips, with a picker for adding more
+  const renderList = (key, label) => {
+    const listed = new Set(form[key].map(normalizeName));
+    const options = names.filter(name => name !== row?.Name && name !== trimmedName && !listed.has(normalizeName(name)));
+    return (
+      <div style={fieldStyle}>
+        {label}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+          {form[key].map(reference => (
+            <span key={reference} style={{ backgroundColor: '#eef2ff', borderRadius: 4, padding: '0 4px', whiteSpace: 'nowrap' }}>
+              {reference}{' '}
+              <a
+                href="#"
+                title={t('editor.removeReference')}
+                onClick={(e) => {
+                  e.preventDefault();
+                  update({ [key]: form[key].filter(r => r !== reference) });
+                }}
+              >
+                ×
+              </a>
+            </span>
+          ))}
+        </div>
+        <select
+          value=""
+          onChange={(e) => e.target.value && update({ [key]: [...form[key], e.target.value] })}
+          style={inputStyle}
+        >
+          <option value="">{t('editor.addReference')}</option>
+          {options.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{
+      backgroundColor: '#fff',
+      color: '#213547',
+      border: '1px solid #ccc',
+      borderRadius: 4,
+      fontSize: 12,
+      padding: '6px 8px',
+      width: 300,
+      maxHeight: '60vh',
+      overflowY: 'auto',
+    }}>
+      <div style={{ fontWeight: 'bold' }}>
+        {row ? t('editor.editTitle', { name: row.Name }) : t('editor.addTitle')}
+      </div>
+
+      {renderText('Name', t('editor.name'))}
+
+      <label style={fieldStyle}>
+        {t('editor.type')}
+        <select
+          value={customType ? NEW_TYPE : form.Type}
+          onChange={(e) => {
+            const isNew = e.target.value === NEW_TYPE;
+            setCustomType(isNew);
+            update({ Type: isNew ? '' : e.target.value });
+          }}
+          style={inputStyle}
+        >
+          {types.map(type => <option key={type} value={type}>{typeName(type)}</option>)}
+          <option value={NEW_TYPE}>{t('editor.newType')}</option>
+        </select>
+        {customType && (
+          <input
+            type="text"
+            value={form.Type}
+            placeholder={t('editor.newTypeName')}
+            onChange={(e) => update({ Type: e.target.value })}
+            style={inputStyle}
+          />
+        )}
+      </label>
+
+      {renderText('Description', t('editor.description'), true)}
+      {renderText('Description_en', t('editor.descriptionEn'), true)}
+      {renderText('Website', t('editor.website'))}
+      {isCompany
+        ? renderList('Designtechs', t('editor.designtechs'))
+        : renderList('Interoperability', t('editor.interoperability'))}
+
+      {error && <div style={{ color: '#c62828', marginTop: 6 }}>{error}</div>}
+
+      <div style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+        <button onClick={() => onSave({ ...form, Name: trimmedName })} disabled={Boolean(error)} style={{ fontSize: 11, padding: '2px 8px' }}>
+          {t('editor.save')}
+        </button>
+        <button onClick={onCancel} style={{ fontSize: 11, padding: '2px 8px' }}>{t('editor.cancel')}</button>
+        {row && (
+          <button
+            onClick={() => window.confirm(t('editor.deleteConfirm', { name: row.Name })) && onDelete()}
+            style={{ fontSize: 11, padding: '2px 8px', marginLeft: 'auto', color: '#c62828' }}
+          >
+            {t('editor.delete')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EntryEditor;
@@ -0,0 +1,37 @@
+import { Panel } from '@xyflow/react';
+import { collectExportGraph, EXPORT_FORMATS, serializeGraph } from './graphExport.js';
+import { downloadFile } from './utils.js';
+import { useI18n } from './i18n.js';
+
+/**
+ * Dropdown for downloading the visible graph as GraphML, GEXF or node-link
+ * JSON, e.g. for further analysis in Gephi or Cytoscape.
+ *
+ * @param {object} props
+ * @param {Array} props.nodes - nodes as drawn, so every filter (type, edge mode, cluster) applies
+ * @param {Array} props.edges - edges as drawn
+ * @param {string} props.edgeMode
+ * @param {string} [props.position]
+ */
+function ExportMenu({ nodes, edges, edgeMode, position = 'top-right' }) {
+  const { t } = useI18n();
+
+  const onExport = (format) => {
+    const { extension, mimeType } = EXPORT_FORMATS.find(f => f.value === format);
+    const graph = collectExportGraph(nodes, edges, { edgeMode });
+    downloadFile(`designtech-${edgeMode}.${extension}`, serializeGraph(graph, format), mimeType);
+  };
+
+  return (
+    <Panel position={position} style={{ top: 50 }}>
+      <select value="" onChange={(e) => e.target.value && onExport(e.target.value)} title={t('export.graphTitle')}>
+        <option value="">{t('export.graph')}</option>
+        {EXPORT_FORMATS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </Panel>
+  );
+}
+
+export default ExportMenu;
@@ -1,10 +1,51 @@
-import { getBezierPath, useInternalNode } from '@xyflow/react';
+import { useId } from 'react';
+import { EdgeLabelRenderer, getBezierPath, useInternalNode } from '@xyflow/react';
  
 import { getEdgeParams } from './utils.js';
+import { useI18n } from './i18n.js';
  
+/**
+ * Hover text of an edge, from the data the edge builders store: the
+ * direction of interoperability edges, the overlap of similarity edges and
+ * the companies behind co-adoption edges.
+ *
+ * @param {string} source
+ * @param {string} target
+ * @param {object} data - edge data
+ * @param {Function} t - from useI18n
+ * @returns {string|null}
+ */
+function edgeTooltip(source, target, data, t) {
+  if (data.direction === 'mutual') return `${source} ↔ ${target}`;
+  if (data.direction === 'forward') return t('edges.oneWay', { from: source, to: target });
+  if (data.direction === 'reverse') return t('edges.oneWay', { from: target, to: source });
+  if (data.shared) {
+    const score = data.metric === 'shared'
+      ? t('edges.sharedScore', { count: data.weight })
+      : t('edges.jaccardScore', { score: data.weight.toFixed(2) });
+    return t('edges.similarity', { source, target, score, tools: data.shared.join(', ') });
+  }
+  if (data.companies) {
+    return t(data.declared ? 'edges.coadoption' : 'edges.coadoptionUndeclared', {
+      source,
+      target,
+      count: data.weight,
+      companies: data.companies.join(', '),
+    });
+  }
+  return null;
+}
+ 
+/**
+ * Edge drawn between the node borders. Interoperability edges get arrowheads
+ * from `data.direction`: at the target for 'forward', at the source for
+ * 'reverse' and at both ends for 'mutual' links.
+ */
 function FloatingEdge({ id, source, target, data }) {
   const sourceNode = useInternalNode(source);
   const targetNode = useInternalNode(target);
+  const markerId = `arrow-${useId().replace(/[^\w-]/g, '')}`; // Edge ids hold spaces, which break url(#...)
+  const { t } = useI18n();
  
   if (!sourceNode || !targetNode) {
     return null;
@@ -15,7 +56,7 @@ function FloatingEdge({ id, source, target, data }) {
     targetNode,
   );
  
-  const [edgePath] = getBezierPath({
+  const [edgePath, labelX, labelY] = getBezierPath({
     sourceX: sx,
     sourceY: sy,
     sourcePosition: sourcePos,
@@ -25,19 +66,72 @@ function FloatingEdge({ id, source, target, data }) {
   });
  
   const sourceColor = sourceNode?.data?.color || '#222';
+  const stroke = data.stroke ?? sourceColor;
+  const arrowAtSource = data.direction === 'reverse' || data.direction === 'mutual';
+  const arrowAtTarget = data.direction === 'forward' || data.direction === 'mutual';
+  const tooltip = edgeTooltip(source, target, data, t);
 
   return (
-    <path
-      id={id}
-      className="react-flow__edge-path"
-      d={edgePath}
-      style={
-        {stroke: sourceColor,
-        opacity: data.opacity ?? 1,
-        transition: 'opacity 0.3s ease',
+    <>
+      {data.direction && (
+        <defs>
+          <marker
+            id={markerId}
+            viewBox="0 0 10 10"
+            refX="10"
+            refY="5"
+            markerWidth="10"
+            markerHeight="10"
+            markerUnits="userSpaceOnUse"
+            orient="auto-start-reverse"
+          >
+            <path d="M 0 0 L 10 5 L 0 10 z" fill={stroke} />
+          </marker>
+        </defs>
+      )}
+      <path
+        id={id}
+        className="react-flow__edge-path"
+        d={edgePath}
+        markerStart={arrowAtSource ? `url(#${markerId})` : undefined}
+        markerEnd={arrowAtTarget ? `url(#${markerId})` : undefined}
+        style={
+          {stroke,
+          opacity: data.opacity ?? 1,
+          strokeWidth: data.strokeWidth,
+          strokeDasharray: data.dashed ? '6 4' : undefined,
+          transition: 'opacity 0.3s ease',
+          }
         }
-      }
-    />
+      />
+      {tooltip && (
+        // Wide transparent stroke so the hover target is easier to hit than the drawn line
+        <path d={edgePath} fill="none" stroke="transparent" strokeWidth={12}>
+          <title>{tooltip}</title>
+        </path>
+      )}
+      {data.label && (
+        <EdgeLabelRenderer>
+          <div
+            className="nodrag nopan"
+            style={{
+              position: 'absolute',
+              transform: `translate(-50%, -50%) translate(${labelX}px, ${labelY}px)`,
+              padding: '1px 4px',
+              fontSize: 10,
+              backgroundColor: '#fff',
+              color: '#213547',
+              border: `1px solid ${sourceColor}`,
+              borderRadius: 4,
+              opacity: data.opacity ?? 1,
+              pointerEvents: 'none',
+            }}
+          >
+            {data.label}
+          </div>
+        </EdgeLabelRenderer>
+      )}
+    </>
   );
 }
  
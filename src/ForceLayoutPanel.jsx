@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { deleteForcePreset, listForcePresets, loadForcePreset, saveForcePreset } from './forceLayout.js';
+import { useI18n } from './i18n.js';
+
+// Slider ranges of the numeric force settings, see defaultForces
+const SLIDERS = [
+  { key: 'charge', min: -4000, max: 0, step: 50 },
+  { key: 'linkDistance', min: 10, max: 500, step: 5 },
+  { key: 'linkStrength', min: 0, max: 1, step: 0.01 },
+  { key: 'xStrength', min: 0, max: 0.3, step: 0.005 },
+  { key: 'yStrength', min: 0, max: 0.3, step: 0.005 },
+  { key: 'collideScale', min: 0, max: 2, step: 0.05 },
+  { key: 'typeClustering', min: 0, max: 0.5, step: 0.01 },
+];
+
+/**
+ * Sliders for the forces of the layout simulation, applied live while it
+ * runs, and named presets so a layout can be reproduced with the same
+ * settings.
+ *
+ * @param {object} props
+ * @param {object} props.forces - current settings, see defaultForces
+ * @param {object} props.defaults - settings the reset button goes back to
+ * @param {Function} props.onChange - called with the new settings
+ */
+const ForceLayoutPanel = ({ forces, defaults, onChange }) => {
+  const [name, setName] = useState('');
+  const [names, setNames] = useState(listForcePresets);
+  const [error, setError] = useState(null);
+  const { t } = useI18n();
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (!saveForcePreset(trimmed, forces)) {
+      setError(t('forces.saveFailed'));
+      return;
+    }
+    setError(null);
+    setNames(listForcePresets());
+    setName('');
+  };
+
+  const load = (presetName) => {
+    const preset = loadForcePreset(presetName, defaults);
+    if (preset) onChange(preset);
+  };
+
+  const remove = (presetName) => {
+    setError(deleteForcePreset(presetName) ? null : t('forces.saveFailed'));
+    setNames(listForcePresets());
+  };
+
+  return (
+    <CollapsibleBox title={t('forces.title')} maxWidth={260}>
+      <div style={{ color: '#777', marginBottom: 4 }}>{t('forces.hint')}</div>
+      {SLIDERS.map(({ key, min, max, step }) => (
+        <label key={key} style={{ display: 'block', marginTop: 4 }}>
+          <div style={{ display: 'flex' }}>
+            <span style={{ flex: 1 }} title={t(`forces.${key}Title`)}>{t(`forces.${key}`)}</span>
+            <span>{Number(forces[key].toFixed(3))}</span>
+          </div>
+          <input
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={forces[key]}
+            onChange={(e) => onChange({ ...forces, [key]: Number(e.target.value) })}
+            style={{ width: '100%' }}
+          />
+        </label>
+      ))}
+      <label style={{ display: 'block', marginTop: 4 }} title={t('forces.weightedLinksTitle')}>
+        <input
+          type="checkbox"
+          checked={forces.weightedLinks}
+          onChange={(e) => onChange({ ...forces, weightedLinks: e.target.checked })}
+        />
+        {t('forces.weightedLinks')}
+      </label>
+      <button onClick={() => onChange(defaults)} style={{ marginTop: 6, fontSize: 11, padding: '2px 8px' }}>
+        {t('forces.reset')}
+      </button>
+
+      <div style={{ fontWeight: 'bold', marginTop: 8 }}>{t('forces.presets')}</div>
+      <div style={{ display: 'flex', gap: 4, marginTop: 2 }}>
+        <input
+          type="text"
+          placeholder={t('forces.presetName')}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          style={{ flex: 1, minWidth: 0 }}
+        />
+        <button onClick={save} style={{ fontSize: 11, padding: '2px 8px' }}>{t('forces.saveAs')}</button>
+      </div>
+      {error && <div style={{ color: '#c62828' }}>{error}</div>}
+      {names.map(presetName => (
+        <div key={presetName} style={{ display: 'flex', gap: 6, paddingLeft: 8, marginTop: 2 }}>
+          <span style={{ flex: 1 }}>{presetName}</span>
+          <a href="#" onClick={(e) => { e.preventDefault(); load(presetName); }}>{t('forces.load')}</a>
+          <a href="#" onClick={(e) => { e.preventDefault(); remove(presetName); }}>{t('forces.delete')}</a>
+        </div>
+      ))}
+    </CollapsibleBox>
+  );
+};
+
+export default ForceLayoutPanel;
@@ -0,0 +1,66 @@
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { useI18n } from './i18n.js';
+
+/**
+ * Undo/redo buttons and the list of recorded actions, oldest first. Undone
+ * actions stay listed, greyed out, until a new action replaces them.
+ * Clicking an entry goes back (or forward) to the state right after it; the
+ * current state is shown in bold.
+ *
+ * @param {object} props
+ * @param {{past:Array,future:Array}} props.history - see history.js
+ * @param {Function} props.onTravel - called with the number of steps: negative to undo, positive to redo
+ */
+const HistoryPanel = ({ history, onTravel }) => {
+  const { past, future } = history;
+  const { t, typeName } = useI18n();
+
+  // Types, edge modes, layers and metrics are stored as values and shown in the interface language
+  const describe = ({ key, params = {} }) => t(key, {
+    ...params,
+    type: params.type && typeName(params.type),
+    mode: params.mode && t(`edgeModes.${params.mode}`),
+    layer: params.layer && t(`edgeLayers.${params.layer}`),
+    metric: params.metric && t(`similarityMetrics.${params.metric}`),
+  });
+
+  const renderEntry = (entry, steps, undone) => (
+    <div key={`${entry.time}-${steps}`} style={{ display: 'flex', gap: 6 }}>
+      <a
+        href="#"
+        onClick={(e) => { e.preventDefault(); onTravel(steps); }}
+        style={{ flex: 1, color: undone ? '#999' : undefined, fontWeight: steps === 0 ? 'bold' : undefined }}
+      >
+        {describe(entry.action)}
+      </a>
+      <span style={{ color: '#999' }}>{new Date(entry.time).toLocaleTimeString()}</span>
+    </div>
+  );
+
+  return (
+    <CollapsibleBox title={t('history.title', { count: past.length })} maxWidth={260}>
+      <div style={{ display: 'flex', gap: 4, marginBottom: 4 }}>
+        <button onClick={() => onTravel(-1)} disabled={!past.length} title={t('history.undoTitle')} style={{ fontSize: 11, padding: '2px 8px' }}>
+          {t('history.undo')}
+        </button>
+        <button onClick={() => onTravel(1)} disabled={!future.length} title={t('history.redoTitle')} style={{ fontSize: 11, padding: '2px 8px' }}>
+          {t('history.redo')}
+        </button>
+      </div>
+      {!past.length && !future.length && <div style={{ color: '#777' }}>{t('history.empty')}</div>}
+      {(past.length > 0 || future.length > 0) && (
+        <a
+          href="#"
+          onClick={(e) => { e.preventDefault(); onTravel(-past.length); }}
+          style={{ display: 'block', fontWeight: past.length ? undefined : 'bold' }}
+        >
+          {t('history.start')}
+        </a>
+      )}
+      {past.map((entry, index) => renderEntry(entry, index + 1 - past.length, false))}
+      {future.map((entry, index) => renderEntry(entry, index + 1, true))}
+    </CollapsibleBox>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { Panel, useReactFlow } from '@xyflow/react';
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { buildLegend, renderGraphPng, renderGraphSvg } from './imageExport.js';
+import { downloadFile } from './utils.js';
+import { useI18n } from './i18n.js';
+
+// Labels are i18n keys
+const RESOLUTIONS = [
+  { label: 'export.screen', dpi: 96 },
+  { label: 'export.double', dpi: 192 },
+  { label: 'export.print', dpi: 300 },
+  { label: 'export.poster', dpi: 600 },
+];
+
+function downloadImage(dataUrl, fileName) {
+  const a = document.createElement('a');
+
+  a.setAttribute('download', fileName);
+  a.setAttribute('href', dataUrl);
+  a.click();
+}
+
+const fileBaseName = (title) =>
+  (title || 'designtech-graph').trim().toLowerCase().replace(/[^a-z0-9åäö]+/g, '-').replace(/^-|-$/g, '') || 'designtech-graph';
+
+/**
+ * Image export for reports and posters: PNG at a chosen resolution or vector
+ * SVG, with an optional title and color legend. Only the graph itself is
+ * exported, not panels, MiniMap or Controls.
+ *
+ * @param {object} props
+ * @param {Object<string,string>} props.colorMap - type -> color, from generateColorMap
+ * @param {Array<{type:string,color:string}>|null} [props.legend] - entries to use instead of
+ *   the type legend, e.g. when nodes are colored by community
+ * @param {string} [props.position]
+ */
+function ImageExportPanel({ colorMap, legend: legendEntries = null, position = 'top-right' }) {
+  const { getNodes, getEdges } = useReactFlow();
+  const [format, setFormat] = useState('png');
+  const [dpi, setDpi] = useState(192);
+  const [title, setTitle] = useState('');
+  const [showLegend, setShowLegend] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { t, typeName } = useI18n();
+
+  const onExport = async () => {
+    const nodes = getNodes();
+    setError(null);
+    // An empty graph has no bounds to draw, and would make a zero-size canvas
+    if (!nodes.some(n => !n.hidden)) {
+      setError(t('export.nothingVisible'));
+      return;
+    }
+    const typeLegend = () => buildLegend(nodes, colorMap).map(entry => ({ ...entry, type: typeName(entry.type) }));
+    const legend = showLegend ? legendEntries ?? typeLegend() : [];
+    const name = fileBaseName(title);
+
+    setBusy(true);
+    try {
+      if (format === 'svg') {
+        downloadFile(`${name}.svg`, renderGraphSvg(nodes, getEdges(), { title, legend }), 'image/svg+xml');
+      } else {
+        const dataUrl = await renderGraphPng(document.querySelector('.react-flow__viewport'), nodes, { title, legend, dpi });
+        downloadImage(dataUrl, `${name}.png`);
+      }
+    } catch (err) {
+      setError(t('export.failed', { message: err.message }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Panel position={position} style={{ top: 90 }}>
+      <CollapsibleBox title={t('export.image')} maxWidth={260}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+          <label>
+            {t('export.format')}{' '}
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              <option value="png">PNG</option>
+              <option value="svg">{t('export.svg')}</option>
+            </select>
+          </label>
+          {format === 'png' && (
+            <label>
+              {t('export.resolution')}{' '}
+              <select value={dpi} onChange={(e) => setDpi(Number(e.target.value))}>
+                {RESOLUTIONS.map(r => <option key={r.dpi} value={r.dpi}>{t(r.label)}</option>)}
+              </select>
+            </label>
+          )}
+          <input
+            type="text"
+            placeholder={t('export.title')}
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+          />
+          <label>
+            <input type="checkbox" checked={showLegend} onChange={(e) => setShowLegend(e.target.checked)} />
+            {' '}{t('export.legend')}
+          </label>
+          <button className="download-btn xy-theme__button" onClick={onExport} disabled={busy}>
+            {busy ? t('export.rendering') : t('export.download')}
+          </button>
+          {error && <div style={{ color: '#c62828' }}>{error}</div>}
+        </div>
+      </CollapsibleBox>
+    </Panel>
+  );
+}
+
+export default ImageExportPanel;
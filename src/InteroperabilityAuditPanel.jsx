@@ -0,0 +1,34 @@
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { useI18n } from './i18n.js';
+
+/**
+ * Collapsible list of one-sided interoperability claims: tool pairs where
+ * only one side lists the other, to be checked with the vendors.
+ * Clicking a tool selects it.
+ *
+ * @param {object} props
+ * @param {Array<{from:string,to:string}>} props.pairs - output of listAsymmetricInteroperability
+ * @param {Function} props.onSelect - called with a node id
+ */
+const InteroperabilityAuditPanel = ({ pairs, onSelect }) => {
+  const { t } = useI18n();
+  if (pairs.length === 0) return null;
+
+  const renderLink = (id) => (
+    <a href="#" onClick={(e) => { e.preventDefault(); onSelect(id); }}>{id}</a>
+  );
+
+  return (
+    <CollapsibleBox title={t('audit.title', { count: pairs.length })}>
+      <div style={{ color: '#777', marginBottom: 4 }}>{t('audit.hint')}</div>
+      {pairs.map(({ from, to }) => (
+        <div key={`${from}|${to}`} style={{ paddingLeft: 8 }}>
+          {renderLink(from)} → {renderLink(to)}{' '}
+          <span style={{ color: '#777' }}>{t('audit.notListedBack', { name: to })}</span>
+        </div>
+      ))}
+    </CollapsibleBox>
+  );
+};
+
+export default InteroperabilityAuditPanel;
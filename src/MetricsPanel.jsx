@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { METRICS } from './metrics.js';
+import { useI18n } from './i18n.js';
+
+const cellStyle = { padding: '1px 4px', textAlign: 'right', whiteSpace: 'nowrap' };
+
+/**
+ * Ranked table of network metrics for the visible graph, and the choice of
+ * metric that drives node size.
+ *
+ * @param {object} props
+ * @param {Map<string,object>} props.metrics - output of computeMetrics
+ * @param {Array} props.nodes - ReactFlow nodes, for labels and colors
+ * @param {string} props.sizeMetric - one of METRICS values
+ * @param {Function} props.onSizeMetricChange - called with a METRICS value
+ * @param {Function} props.onSelect - called with a node id when a row is clicked
+ */
+const MetricsPanel = ({ metrics, nodes, sizeMetric, onSizeMetricChange, onSelect }) => {
+  const [sortBy, setSortBy] = useState('degree');
+  const { t } = useI18n();
+  const nodesById = new Map(nodes.map(n => [n.id, n]));
+
+  const rows = [...metrics]
+    .sort(([idA, a], [idB, b]) => b[sortBy] - a[sortBy] || idA.localeCompare(idB));
+
+  return (
+    <CollapsibleBox title={t('metrics.title')} maxWidth={520}>
+      <label style={{ display: 'block', marginBottom: 4 }}>
+        {t('metrics.sizeBy')}:{' '}
+        <select value={sizeMetric} onChange={(e) => onSizeMetricChange(e.target.value)} style={{ fontSize: 11 }}>
+          {METRICS.map(({ value }) => <option key={value} value={value}>{t(`metrics.${value}`)}</option>)}
+        </select>
+      </label>
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle, textAlign: 'left' }}>#</th>
+            <th style={{ ...cellStyle, textAlign: 'left' }}>{t('metrics.node')}</th>
+            {METRICS.map(({ value }) => (
+              <th
+                key={value}
+                onClick={() => setSortBy(value)}
+                title={t('metrics.sortTitle')}
+                style={{ ...cellStyle, cursor: 'pointer', textDecoration: sortBy === value ? 'underline' : 'none' }}
+              >
+                {t(`metrics.${value}`)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([id, values], index) => {
+            const node = nodesById.get(id);
+            return (
+              <tr key={id} onClick={() => onSelect(id)} style={{ cursor: 'pointer' }}>
+                <td style={{ ...cellStyle, textAlign: 'left', color: '#777' }}>{index + 1}</td>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>
+                  <span style={{
+                    display: 'inline-block',
+                    width: 8,
+                    height: 8,
+                    borderRadius: '50%',
+                    marginRight: 4,
+                    backgroundColor: node?.data.color ?? '#ccc',
+                  }} />
+                  {node?.data.label ?? id}
+                </td>
+                {METRICS.map(({ value, digits }) => (
+                  <td key={value} style={cellStyle}>{values[value].toFixed(digits)}</td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </CollapsibleBox>
+  );
+};
+
+export default MetricsPanel;
@@ -0,0 +1,119 @@
+import { isCompanyType } from './dataset.js';
+import { groupByType } from './utils.js';
+import { isTranslationColumn, useI18n } from './i18n.js';
+
+// Row fields shown as structured lists below rather than as plain text
+const STRUCTURED_FIELDS = ['Name', 'Type', 'Interoperability', 'Designtechs'];
+
+// Columns with a translated heading; others are shown by their column name
+const LABELED_FIELDS = ['Description', 'Website', 'Kommentar'];
+
+const headingStyle = { fontWeight: 'bold', marginTop: 8 };
+
+/**
+ * Docked panel with everything known about the selected node: all dataset
+ * fields (including Kommentar), its interoperable tools grouped by type, and
+ * the companies using it or, for a company, its full stack. Neighbor entries
+ * are clickable and move the selection. Text fields are shown in the
+ * interface language when the row has a translation.
+ *
+ * @param {object} props
+ * @param {object} props.node - the selected ReactFlow node
+ * @param {object} props.details - output of describeNode
+ * @param {Map<string,object>} props.nodesById - all ReactFlow nodes by id
+ * @param {Function} props.onSelect - called with a node id
+ * @param {Function} props.onClose - clears the selection
+ * @param {Function|null} props.onEdit - opens the entry in the data editor
+ */
+const NodeDetailPanel = ({ node, details, nodesById, onSelect, onClose, onEdit }) => {
+  const { row, interoperable, unresolved, usedBy, stack } = details;
+  const isCompany = isCompanyType(node.data.type);
+  const { t, typeName, field } = useI18n();
+
+  const renderLink = (id) => {
+    const other = nodesById.get(id);
+    return (
+      <a
+        key={id}
+        href="#"
+        onClick={(e) => { e.preventDefault(); onSelect(id); }}
+        style={{ display: 'inline-flex', alignItems: 'center', gap: 3, marginRight: 8, whiteSpace: 'nowrap' }}
+      >
+        <span style={{ width: 8, height: 8, borderRadius: '50%', backgroundColor: other?.data.color ?? '#ccc' }} />
+        {other?.data.label ?? id}
+      </a>
+    );
+  };
+
+  // Neighbor links grouped by node type, groups in alphabetical order
+  const renderByType = (ids) => (
+    groupByType(ids, nodesById).map(([type, group]) => (
+      <div key={type} style={{ marginTop: 2 }}>
+        <span style={{ color: '#777' }}>{typeName(type)}: </span>
+        {group.map(renderLink)}
+      </div>
+    ))
+  );
+
+  const fields = row
+    ? Object.keys(row)
+      .filter(key => !STRUCTURED_FIELDS.includes(key) && !isTranslationColumn(key))
+      .map(key => [key, field(row, key)])
+      .filter(([, value]) => value !== null && value !== undefined && String(value).trim() !== '')
+    : [];
+
+  return (
+    <div style={{
+      backgroundColor: '#fff',
+      color: '#213547',
+      border: '1px solid #ccc',
+      borderRadius: 4,
+      fontSize: 12,
+      padding: '6px 8px',
+      width: 300,
+      maxHeight: '60vh',
+      overflowY: 'auto',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <span style={{ width: 12, height: 12, borderRadius: '50%', flexShrink: 0, backgroundColor: node.data.color ?? '#ccc' }} />
+        <strong style={{ flex: 1, fontSize: 14 }}>{node.data.label ?? node.id}</strong>
+        {onEdit && <button onClick={onEdit} style={{ fontSize: 11, padding: '0 6px' }}>{t('details.edit')}</button>}
+        <button onClick={onClose} title={t('details.close')} style={{ fontSize: 11, padding: '0 6px' }}>×</button>
+      </div>
+      <div style={{ color: '#777' }}>{typeName(node.data.type)}</div>
+
+      {fields.map(([key, value]) => (
+        <div key={key} style={{ marginTop: 6 }}>
+          <div style={{ fontWeight: 'bold' }}>{LABELED_FIELDS.includes(key) ? t(`fields.${key}`) : key}</div>
+          {key === 'Website'
+            ? <a href={value} target="_blank" rel="noopener noreferrer" style={{ wordBreak: 'break-all' }}>{value}</a>
+            : <div style={{ whiteSpace: 'pre-wrap' }}>{String(value)}</div>}
+        </div>
+      ))}
+
+      {interoperable.length > 0 && (
+        <>
+          <div style={headingStyle}>{t('details.interoperable', { count: interoperable.length })}</div>
+          {renderByType(interoperable)}
+        </>
+      )}
+      {unresolved.length > 0 && (
+        <div style={{ color: '#777', marginTop: 2 }}>{t('details.unresolved', { names: unresolved.join(', ') })}</div>
+      )}
+
+      {isCompany ? (
+        <>
+          <div style={headingStyle}>{t('details.stack', { count: stack.length })}</div>
+          {stack.length ? renderByType(stack) : <div style={{ color: '#777' }}>{t('details.noTools')}</div>}
+        </>
+      ) : usedBy.length > 0 && (
+        <>
+          <div style={headingStyle}>{t('details.usedBy', { count: usedBy.length })}</div>
+          {usedBy.map(renderLink)}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NodeDetailPanel;
@@ -0,0 +1,107 @@
+import { edgeKey } from './graphAlgorithms.js';
+import { useI18n } from './i18n.js';
+
+const selectStyle = { fontSize: 11, maxWidth: 160 };
+
+/**
+ * Source/target pickers and the resulting chains for the 'path' edge mode.
+ * The chain in focus is drawn solid on the canvas; the alternatives are dimmed.
+ *
+ * @param {object} props
+ * @param {Array} props.nodes - ReactFlow nodes that can be picked as source or target
+ * @param {Array} props.edges - ReactFlow edges, used to show the file formats of each hop
+ * @param {{source:string|null,target:string|null,count:number,active:number}} props.finder - current query
+ * @param {string[][]} props.paths - found paths, shortest first
+ * @param {Function} props.onChange - called with the updated finder state
+ */
+const PathPanel = ({ nodes, edges, finder, paths, onChange }) => {
+  const nodesById = new Map(nodes.map(n => [n.id, n]));
+  const formatsByEdge = new Map(edges.map(e => [edgeKey(e.source, e.target), e.data?.formats || []]));
+  const { t, typeName } = useI18n();
+  const options = [...nodes].sort((a, b) => String(a.data.label).localeCompare(String(b.data.label)));
+
+  const update = (changes) => onChange({ ...finder, active: 0, ...changes });
+
+  const renderPicker = (key, placeholder) => (
+    <select value={finder[key] ?? ''} onChange={(e) => update({ [key]: e.target.value || null })} style={selectStyle}>
+      <option value="">{placeholder}</option>
+      {options.map(n => <option key={n.id} value={n.id}>{n.data.label ?? n.id}</option>)}
+    </select>
+  );
+
+  return (
+    <div style={{
+      backgroundColor: '#fff',
+      color: '#213547',
+      border: '1px solid #ccc',
+      borderRadius: 4,
+      fontSize: 12,
+      padding: '6px 8px',
+      width: 260,
+      maxHeight: '45vh',
+      overflowY: 'auto',
+    }}>
+      <div style={{ fontWeight: 'bold', marginBottom: 4 }}>{t('path.title')}</div>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: 4 }}>
+        {renderPicker('source', t('path.from'))}
+        {renderPicker('target', t('path.to'))}
+        <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+          <button
+            onClick={() => update({ source: finder.target, target: finder.source })}
+            style={{ fontSize: 11, padding: '2px 8px' }}
+          >
+            {t('path.swap')}
+          </button>
+          <label>
+            {t('path.alternatives')}:{' '}
+            <select value={finder.count} onChange={(e) => update({ count: Number(e.target.value) })} style={selectStyle}>
+              {[1, 3, 5, 10].map(k => <option key={k} value={k}>{k === 1 ? t('path.none') : t('path.top', { count: k })}</option>)}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {finder.source && finder.target && paths.length === 0 && (
+        <div style={{ color: '#b91c1c', marginTop: 6 }}>{t('path.noPath')}</div>
+      )}
+
+      {paths.map((path, index) => (
+        <div
+          key={path.join('>')}
+          onClick={() => onChange({ ...finder, active: index })}
+          style={{
+            marginTop: 6,
+            padding: 4,
+            borderRadius: 4,
+            cursor: 'pointer',
+            border: index === finder.active ? '1px solid #1E40AF' : '1px solid transparent',
+          }}
+        >
+          <div style={{ fontWeight: 'bold' }}>
+            {index === 0 ? t('path.shortest') : t('path.alternative', { number: index })}: {t('path.hops', { count: path.length - 1 })}
+          </div>
+          {path.map((id, step) => {
+            const node = nodesById.get(id);
+            const formats = step > 0 ? formatsByEdge.get(edgeKey(path[step - 1], id)) || [] : [];
+            return (
+              <div key={id} style={{ paddingLeft: 8 }}>
+                {formats.length > 0 && <div style={{ color: '#777', paddingLeft: 14 }}>↓ {formats.join(', ')}</div>}
+                <span style={{
+                  display: 'inline-block',
+                  width: 10,
+                  height: 10,
+                  borderRadius: '50%',
+                  marginRight: 4,
+                  backgroundColor: node?.data.color ?? '#ccc',
+                }} />
+                {node?.data.label ?? id} <span style={{ color: '#777' }}>{typeName(node?.data.type)}</span>
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PathPanel;
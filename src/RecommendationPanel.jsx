@@ -0,0 +1,64 @@
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { useI18n } from './i18n.js';
+
+/**
+ * Ranked tool suggestions for the selected company, each explained by the
+ * company tools it works with and the similar companies already using it.
+ *
+ * @param {object} props
+ * @param {string} props.company - label of the selected company
+ * @param {object} props.result - output of recommendTools
+ * @param {Map<string,object>} props.nodesById - all ReactFlow nodes by id
+ * @param {Function} props.onSelect - called with a node id
+ * @param {boolean} props.highlight - whether the suggestions are outlined in the graph
+ * @param {Function} props.onHighlightChange - called with the new highlight flag
+ */
+const RecommendationPanel = ({ company, result, nodesById, onSelect, highlight, onHighlightChange }) => {
+  const { peers, recommendations } = result;
+  const { t, typeName } = useI18n();
+  const label = (id) => nodesById.get(id)?.data.label ?? id;
+
+  return (
+    <CollapsibleBox title={t('recommendations.title', { name: company })} defaultOpen maxWidth={318}>
+      <label style={{ display: 'block', marginBottom: 4 }}>
+        <input type="checkbox" checked={highlight} onChange={(e) => onHighlightChange(e.target.checked)} />
+        {t('recommendations.highlight')}
+      </label>
+      {peers.length > 0 && (
+        <div style={{ color: '#777', marginBottom: 4 }}>
+          {t('recommendations.peers', { names: peers.map(p => `${label(p.company)} (${p.similarity.toFixed(2)})`).join(', ') })}
+        </div>
+      )}
+
+      {recommendations.length === 0 && (
+        <div style={{ color: '#777' }}>{t('recommendations.empty')}</div>
+      )}
+
+      {recommendations.map(({ tool, score, fit, peerScore, interoperates, usedBy }, index) => (
+        <div key={tool} style={{ marginTop: 6 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+            <span style={{ color: '#777', minWidth: 18 }}>{index + 1}.</span>
+            <a href="#" onClick={(e) => { e.preventDefault(); onSelect(tool); }} style={{ fontWeight: 'bold' }}>
+              {label(tool)}
+            </a>
+            <span style={{ color: '#777' }}>{typeName(nodesById.get(tool)?.data.type)}</span>
+            <span
+              style={{ marginLeft: 'auto' }}
+              title={t('recommendations.scoreTitle', { fit: Math.round(fit * 100), peers: Math.round(peerScore * 100) })}
+            >
+              {Math.round(score * 100)}
+            </span>
+          </div>
+          <div style={{ paddingLeft: 22, color: '#555' }}>
+            {interoperates.length > 0 && <div>{t('recommendations.worksWith', { names: interoperates.map(label).join(', ') })}</div>}
+            {usedBy.length > 0 && (
+              <div>{t('recommendations.usedBy', { count: usedBy.length, total: peers.length, names: usedBy.map(label).join(', ') })}</div>
+            )}
+          </div>
+        </div>
+      ))}
+    </CollapsibleBox>
+  );
+};
+
+export default RecommendationPanel;
@@ -0,0 +1,110 @@
+import { useMemo, useState } from 'react';
+import { Panel } from '@xyflow/react';
+import { searchNodes } from './search.js';
+import { useI18n } from './i18n.js';
+
+/**
+ * Search box that fuzzy-matches node labels, types and descriptions.
+ * Arrow keys move through the hits, Enter picks one, Escape clears the query.
+ *
+ * @param {object} props
+ * @param {Array} props.nodes - ReactFlow nodes to search; hidden ones are skipped
+ * @param {Function} props.onSelect - called with the id of the picked node
+ */
+const SearchPanel = ({ nodes, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [open, setOpen] = useState(false);
+  const { language, t, typeName } = useI18n();
+
+  const hits = useMemo(() => searchNodes(nodes, query, { language }), [nodes, query, language]);
+
+  const pick = (hit) => {
+    if (!hit) return;
+    onSelect(hit.node.id);
+    setQuery(hit.node.data.label ?? hit.node.id);
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(i => Math.min(i + 1, hits.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      pick(hits[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setQuery('');
+      setOpen(false);
+    }
+  };
+
+  return (
+    <Panel position="top-center" style={{ width: 280, fontSize: 12 }}>
+      <input
+        type="search"
+        placeholder={t('search.placeholder')}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        role="combobox"
+        aria-expanded={open && hits.length > 0}
+        aria-controls="node-search-hits"
+        style={{ width: '100%', boxSizing: 'border-box', padding: '4px 8px' }}
+      />
+      {open && hits.length > 0 && (
+        <ul
+          id="node-search-hits"
+          role="listbox"
+          style={{
+            listStyle: 'none',
+            margin: 0,
+            padding: 0,
+            backgroundColor: '#fff',
+            color: '#213547',
+            border: '1px solid #ccc',
+            borderRadius: 4,
+            maxHeight: 300,
+            overflowY: 'auto',
+          }}
+        >
+          {hits.map((hit, index) => (
+            <li
+              key={hit.node.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()} // keep focus in the input so onBlur does not close the list first
+              onClick={() => pick(hit)}
+              onMouseEnter={() => setActiveIndex(index)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 6,
+                padding: '4px 8px',
+                cursor: 'pointer',
+                backgroundColor: index === activeIndex ? '#eef2ff' : 'transparent',
+              }}
+            >
+              <span style={{ width: 10, height: 10, borderRadius: '50%', flexShrink: 0, backgroundColor: hit.node.data.color ?? '#ccc' }} />
+              <span style={{ flex: 1 }}>{hit.node.data.label ?? hit.node.id}</span>
+              <span style={{ color: '#777' }}>
+                {typeName(hit.node.data.type)}{hit.field === 'description' ? ` · ${t('search.inDescription')}` : ''}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Panel>
+  );
+};
+
+export default SearchPanel;
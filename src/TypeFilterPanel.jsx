@@ -1,9 +1,12 @@
 import { Panel } from '@xyflow/react';
+import { useI18n } from './i18n.js';
 
 const TypeFilterPanel = ({ types, activeTypes, toggleType }) => {
+  const { t, typeName } = useI18n();
+
   return (
-    <Panel position="top-left" style={{ top: 100, left: 10 }}>
-      <div style={{ fontWeight: 'bold', marginBottom: 6 }}>Filter types</div>
+    <Panel position="top-left" style={{ top: 150, left: 10 }}>
+      <div style={{ fontWeight: 'bold', marginBottom: 6 }}>{t('typeFilter.title')}</div>
       <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
         {types.map(({ type, color }) => (
           <button
@@ -21,7 +24,7 @@ const TypeFilterPanel = ({ types, activeTypes, toggleType }) => {
               fontSize: "small"
             }}
           >
-            {type}
+            {typeName(type)}
           </button>
         ))}
       </div>
@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import CollapsibleBox from './CollapsibleBox.jsx';
+import { deleteNamedWorkspace, listNamedWorkspaces } from './workspace.js';
+import { useI18n } from './i18n.js';
+
+/**
+ * Controls for the persisted workspace: save the current edits under a name,
+ * load or delete saved workspaces, and reset to the plain dataset.
+ *
+ * @param {object} props
+ * @param {Date|null} props.lastSaved - time of the last autosave
+ * @param {boolean} props.autosaveFailed - the browser refused the last autosave
+ * @param {Function} props.onSave - called with a workspace name; returns false when it could not be stored
+ * @param {Function} props.onLoad - called with a workspace name
+ * @param {Function} props.onReset - discards all edits
+ */
+const WorkspacePanel = ({ lastSaved, autosaveFailed, onSave, onLoad, onReset }) => {
+  const [name, setName] = useState('');
+  const [names, setNames] = useState(listNamedWorkspaces);
+  const [error, setError] = useState(null);
+  const { t } = useI18n();
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (!onSave(trimmed)) {
+      setError(t('workspace.saveFailed'));
+      return;
+    }
+    setError(null);
+    setNames(listNamedWorkspaces());
+    setName('');
+  };
+
+  const remove = (workspaceName) => {
+    setError(deleteNamedWorkspace(workspaceName) ? null : t('workspace.saveFailed'));
+    setNames(listNamedWorkspaces());
+  };
+
+  return (
+    <CollapsibleBox title={t('workspace.title')} maxWidth={260}>
+      {autosaveFailed ? (
+        <div style={{ color: '#c62828', marginBottom: 4 }}>{t('workspace.autosaveFailed')}</div>
+      ) : (
+        <div style={{ color: '#777', marginBottom: 4 }}>
+          {lastSaved ? t('workspace.autosaved', { time: lastSaved.toLocaleTimeString() }) : t('workspace.autosaveHint')}
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 4 }}>
+        <input
+          type="text"
+          placeholder={t('workspace.name')}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          style={{ flex: 1, minWidth: 0 }}
+        />
+        <button onClick={save} style={{ fontSize: 11, padding: '2px 8px' }}>{t('workspace.saveAs')}</button>
+      </div>
+      {error && <div style={{ color: '#c62828' }}>{error}</div>}
+      {names.map(workspaceName => (
+        <div key={workspaceName} style={{ display: 'flex', gap: 6, paddingLeft: 8, marginTop: 2 }}>
+          <span style={{ flex: 1 }}>{workspaceName}</span>
+          <a href="#" onClick={(e) => { e.preventDefault(); onLoad(workspaceName); }}>{t('workspace.load')}</a>
+          <a href="#" onClick={(e) => { e.preventDefault(); remove(workspaceName); }}>{t('workspace.delete')}</a>
+        </div>
+      ))}
+      <button
+        onClick={() => window.confirm(t('workspace.resetConfirm')) && onReset()}
+        style={{ marginTop: 6, fontSize: 11, padding: '2px 8px' }}
+      >
+        {t('workspace.reset')}
+      </button>
+    </CollapsibleBox>
+  );
+};
+
+export default WorkspacePanel;
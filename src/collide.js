@@ -1,6 +1,7 @@
 import { quadtree } from 'd3-quadtree';
  
-export function collide() {
+// Pushes overlapping nodes apart; each node is a circle as wide as its `width`, times `scale`
+export function collide(scale = 1) {
   let nodes = [];
   let force = (alpha) => {
     const tree = quadtree(
@@ -10,7 +11,7 @@ export function collide() {
     );
  
     for (const node of nodes) {
-      const r = node.measured.width / 2;
+      const r = (node.width / 2) * scale;
       const nx1 = node.x - r;
       const nx2 = node.x + r;
       const ny1 = node.y - r;
@@ -20,7 +21,7 @@ export function collide() {
         if (!quad.length) {
           do {
             if (quad.data !== node) {
-              const r = node.measured.width / 2 + quad.data.width / 2;
+              const r = ((node.width + quad.data.width) / 2) * scale;
               let x = node.x - quad.data.x;
               let y = node.y - quad.data.y;
               let l = Math.hypot(x, y);
@@ -0,0 +1,260 @@
+/**
+ * communities.js
+ * Community detection on the graph of the active edge mode: Louvain
+ * (modularity optimization) or label propagation. Both are deterministic, so
+ * the same graph always gives the same clusters and colors.
+ *
+ * Edges are treated as undirected and weighted by `edge.data.weight` where
+ * present, like in metrics.js.
+ */
+
+import { buildWeightedAdjacency } from './metrics.js';
+
+// Detection methods offered in the UI; names are in i18n.js under communityMethods.<value>
+export const COMMUNITY_METHODS = [
+  { value: 'louvain' },
+  { value: 'labelPropagation' },
+];
+
+// Color of nodes that ended up in a community of their own
+export const UNCLUSTERED_COLOR = '#E5E7EB';
+
+/**
+ * Color for the community at `index` (largest first). Hues are spread by the
+ * golden angle so neighboring indices stay easy to tell apart.
+ *
+ * @param {number} index
+ * @returns {string}
+ */
+export function communityColor(index) {
+  return `hsl(${Math.round((index * 137.508) % 360)}, 65%, 62%)`;
+}
+
+/**
+ * Display name of a community: the name the user gave it, else "Cluster n".
+ *
+ * @param {{index:number,anchor:string}} community
+ * @param {Object<string,string>} [names] - anchor -> name
+ * @param {Function} [unnamed] - builds the default name from the 1-based number
+ * @returns {string}
+ */
+export function clusterName(community, names = {}, unnamed = (number) => `Cluster ${number}`) {
+  return names[community.anchor] || unnamed(community.index + 1);
+}
+
+// Weighted degree; a self-loop counts twice, as in the modularity definition
+const strengthOf = (node, neighbors) => {
+  let total = 0;
+  neighbors.forEach((weight, other) => { total += other === node ? 2 * weight : weight; });
+  return total;
+};
+
+/**
+ * One Louvain pass: move single nodes to the neighboring community with the
+ * largest modularity gain until no move helps.
+ *
+ * @returns {{partition:Map<string,string>,moved:boolean}}
+ */
+function louvainPass(adjacency) {
+  const nodes = [...adjacency.keys()].sort();
+  const strength = new Map(nodes.map(node => [node, strengthOf(node, adjacency.get(node))]));
+  const twiceTotal = [...strength.values()].reduce((a, b) => a + b, 0);
+  const partition = new Map(nodes.map(node => [node, node]));
+  const communityStrength = new Map(strength);
+  let moved = false;
+
+  if (!twiceTotal) return { partition, moved };
+
+  for (let changed = true, rounds = 0; changed && rounds < 100; rounds++) {
+    changed = false;
+    nodes.forEach(node => {
+      const current = partition.get(node);
+      const k = strength.get(node);
+
+      // Weight from this node into each neighboring community
+      const links = new Map([[current, 0]]);
+      adjacency.get(node).forEach((weight, other) => {
+        if (other === node) return;
+        const community = partition.get(other);
+        links.set(community, (links.get(community) || 0) + weight);
+      });
+
+      communityStrength.set(current, communityStrength.get(current) - k);
+      let best = current;
+      let bestGain = links.get(current) - (communityStrength.get(current) * k) / twiceTotal;
+      [...links.keys()].sort().forEach(community => {
+        const gain = links.get(community) - (communityStrength.get(community) * k) / twiceTotal;
+        if (gain > bestGain + 1e-12) {
+          best = community;
+          bestGain = gain;
+        }
+      });
+      communityStrength.set(best, communityStrength.get(best) + k);
+
+      if (best !== current) {
+        partition.set(node, best);
+        changed = true;
+        moved = true;
+      }
+    });
+  }
+
+  return { partition, moved };
+}
+
+/**
+ * Collapse each community of a partition into a single node. Edges inside a
+ * community become a self-loop carrying their summed weight.
+ */
+function aggregate(adjacency, partition) {
+  const next = new Map([...new Set(partition.values())].map(community => [community, new Map()]));
+  adjacency.forEach((neighbors, node) => {
+    const from = partition.get(node);
+    neighbors.forEach((weight, other) => {
+      const to = partition.get(other);
+      // Both directions of an edge inside a community land on the same self-loop
+      const share = from === to && node !== other ? weight / 2 : weight;
+      next.get(from).set(to, (next.get(from).get(to) || 0) + share);
+    });
+  });
+  return next;
+}
+
+/**
+ * Louvain community detection.
+ *
+ * @param {Map<string,Map<string,number>>} adjacency
+ * @returns {Map<string,string>} node id -> community key
+ */
+function louvain(adjacency) {
+  const membership = new Map([...adjacency.keys()].map(node => [node, node]));
+  let graph = adjacency;
+
+  for (let level = 0; level < 20; level++) {
+    const { partition, moved } = louvainPass(graph);
+    if (!moved) break;
+    membership.forEach((community, node) => membership.set(node, partition.get(community)));
+    graph = aggregate(graph, partition);
+  }
+  return membership;
+}
+
+/**
+ * Small seeded random number generator (mulberry32), so label propagation
+ * breaks ties the same way on every run.
+ *
+ * @param {number} seed
+ * @returns {Function} returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Label propagation: every node repeatedly adopts the label carrying the most
+ * weight among its neighbors, visiting nodes in a shuffled order. Ties keep
+ * the current label, else are broken at random. The random source is seeded,
+ * so the result does not change between runs.
+ *
+ * @param {Map<string,Map<string,number>>} adjacency
+ * @returns {Map<string,string>} node id -> community key
+ */
+function labelPropagation(adjacency) {
+  const random = seededRandom(42);
+  const nodes = [...adjacency.keys()].sort();
+  const labels = new Map(nodes.map(node => [node, node]));
+
+  for (let changed = true, rounds = 0; changed && rounds < 50; rounds++) {
+    changed = false;
+    // Fisher-Yates shuffle of the visiting order
+    for (let i = nodes.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [nodes[i], nodes[j]] = [nodes[j], nodes[i]];
+    }
+
+    nodes.forEach(node => {
+      const votes = new Map();
+      adjacency.get(node).forEach((weight, other) => {
+        const label = labels.get(other);
+        votes.set(label, (votes.get(label) || 0) + weight);
+      });
+      if (!votes.size) return;
+
+      const most = Math.max(...votes.values());
+      const current = labels.get(node);
+      if (votes.get(current) === most) return;
+      const candidates = [...votes.keys()].filter(label => votes.get(label) === most).sort();
+      labels.set(node, candidates[Math.floor(random() * candidates.length)]);
+      changed = true;
+    });
+  }
+  return labels;
+}
+
+/**
+ * Modularity of a partition, between -0.5 and 1; higher means denser
+ * communities than expected by chance.
+ */
+function modularity(adjacency, membership) {
+  let twiceTotal = 0;
+  const internal = new Map();
+  const strength = new Map();
+
+  adjacency.forEach((neighbors, node) => {
+    const community = membership.get(node);
+    neighbors.forEach((weight, other) => {
+      twiceTotal += weight;
+      strength.set(community, (strength.get(community) || 0) + weight);
+      if (membership.get(other) === community) internal.set(community, (internal.get(community) || 0) + weight);
+    });
+  });
+  if (!twiceTotal) return 0;
+
+  let q = 0;
+  strength.forEach((total, community) => {
+    q += (internal.get(community) || 0) / twiceTotal - (total / twiceTotal) ** 2;
+  });
+  return q;
+}
+
+/**
+ * Detect communities among the visible nodes.
+ *
+ * Communities are numbered by size, largest first. Each is identified by its
+ * `anchor`, the member with the most connections, which stays the same when
+ * small changes to the graph renumber the communities; user-given cluster
+ * names are keyed by it.
+ *
+ * @param {string[]} ids - ids of the visible nodes
+ * @param {Array} edges - ReactFlow edges; hidden ones are left out
+ * @param {string} [method='louvain'] - one of COMMUNITY_METHODS values
+ * @returns {{membership:Map<string,number>,communities:Array<{index:number,anchor:string,members:string[]}>,modularity:number}}
+ */
+export function detectCommunities(ids, edges, method = 'louvain') {
+  const adjacency = buildWeightedAdjacency(ids, edges);
+  const labels = method === 'labelPropagation' ? labelPropagation(adjacency) : louvain(adjacency);
+
+  const groups = new Map();
+  labels.forEach((label, node) => {
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(node);
+  });
+
+  const degree = (node) => adjacency.get(node).size;
+  const communities = [...groups.values()]
+    .map(members => members.sort((a, b) => degree(b) - degree(a) || a.localeCompare(b)))
+    .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]))
+    .map((members, index) => ({ index, anchor: members[0], members }));
+
+  const membership = new Map();
+  communities.forEach(({ index, members }) => members.forEach(node => membership.set(node, index)));
+
+  return { membership, communities, modularity: modularity(adjacency, labels) };
+}
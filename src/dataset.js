@@ -0,0 +1,377 @@
+/**
+ * dataset.js
+ * Pure helpers for reading rows of the DesignTech dataset (data.json).
+ *
+ * This file deliberately has no React or ReactFlow imports so that the same
+ * helpers can be used both by the app and by the Node scripts in /scripts.
+ */
+
+/**
+ * Whether a `Type` value denotes a company row.
+ *
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isCompanyType(type) {
+  return typeof type === 'string' && type.toLowerCase() === 'company';
+}
+
+/**
+ * Whether a `Type` value denotes a file format row ("Filformat").
+ *
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isFileFormatType(type) {
+  return typeof type === 'string' && type.toLowerCase() === 'filformat';
+}
+
+/**
+ * Split a comma-separated cell (e.g. `Interoperability`) into trimmed names.
+ * Commas inside parentheses are kept, so "Stort ekosystem (bibliotek, API:er)"
+ * stays a single entry.
+ *
+ * @param {string|null|undefined} value
+ * @returns {string[]}
+ */
+export function splitList(value) {
+  if (!value) return [];
+
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of String(value)) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Names listed in a row's `Interoperability` cell.
+ *
+ * @param {object} item - dataset row
+ * @returns {string[]}
+ */
+export function getInteroperability(item) {
+  return splitList(item.Interoperability);
+}
+
+/**
+ * Names listed in a company row's `Designtechs` array.
+ *
+ * @param {object} item - dataset row
+ * @returns {string[]}
+ */
+export function getDesigntechs(item) {
+  return Array.isArray(item.Designtechs) ? item.Designtechs.map(s => String(s).trim()).filter(Boolean) : [];
+}
+
+// -----------------------------------------------------------------------------
+// Name resolution
+// -----------------------------------------------------------------------------
+
+/**
+ * Normalize a name for loose matching: case-insensitive and ignoring all
+ * whitespace, so "Civil 3D", "civil3d" and "Civil3D" compare equal.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+  return String(name ?? '').toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Create a resolver that maps a reference (as typed in the sheet) to the
+ * canonical Name of an entry.
+ *
+ * Matching is tried in order: exact name, normalized name, then the alias map
+ * (whose keys and values are matched normalized as well).
+ *
+ * @param {string[]} names - canonical names, first occurrence wins on clashes
+ * @param {Object<string,string>} [aliases] - alias -> canonical name
+ * @returns {{resolve:(name:string)=>string|null, match:(name:string)=>{name:string,via:string}|null}}
+ */
+export function createNameResolver(names, aliases = {}) {
+  const exact = new Set();
+  const normalized = new Map();
+  names.forEach(name => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) return;
+    exact.add(trimmed);
+    const key = normalizeName(trimmed);
+    if (!normalized.has(key)) normalized.set(key, trimmed);
+  });
+
+  const aliasMap = new Map();
+  Object.entries(aliases).forEach(([alias, target]) => {
+    const canonical = normalized.get(normalizeName(target));
+    if (canonical) aliasMap.set(normalizeName(alias), canonical);
+  });
+
+  const match = (name) => {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) return null;
+    if (exact.has(trimmed)) return { name: trimmed, via: 'exact' };
+    const key = normalizeName(trimmed);
+    if (normalized.has(key)) return { name: normalized.get(key), via: 'normalized' };
+    if (aliasMap.has(key)) return { name: aliasMap.get(key), via: 'alias' };
+    return null;
+  };
+
+  return {
+    match,
+    resolve: (name) => match(name)?.name ?? null,
+  };
+}
+
+/**
+ * List every reference in the dataset that only matched through
+ * normalization or the alias map, e.g. "Civil 3D" -> "Civil3D".
+ *
+ * @param {Array} data - dataset rows
+ * @param {{match:Function}} resolver - from createNameResolver
+ * @returns {Array<{from:string,to:string,via:string,usedBy:string[]}>}
+ */
+export function listAppliedAliases(data, resolver) {
+  const applied = new Map();
+  data.forEach(item => {
+    [...getInteroperability(item), ...getDesigntechs(item)].forEach(reference => {
+      const hit = resolver.match(reference);
+      if (!hit || hit.via === 'exact') return;
+      // "Civil 3D" with a normal and with a narrow no-break space are one entry
+      const key = normalizeName(reference);
+      if (!applied.has(key)) applied.set(key, { from: reference, to: hit.name, via: hit.via, usedBy: [] });
+      const entry = applied.get(key);
+      if (!entry.usedBy.includes(item.Name)) entry.usedBy.push(item.Name);
+    });
+  });
+  return [...applied.values()];
+}
+
+// -----------------------------------------------------------------------------
+// Loading datasets from files
+// -----------------------------------------------------------------------------
+
+// Columns of the master sheet, in the order they are exported. Translations
+// of a text column follow it as `<column>_<language>`, see i18n.js.
+export const DATASET_COLUMNS = ['Name', 'Type', 'Interoperability', 'Description', 'Description_en', 'Website', 'Designtechs', 'Kommentar'];
+
+/**
+ * Parse CSV text into an array of row arrays. Handles quoted cells with
+ * embedded delimiters, quotes ("") and line breaks. The delimiter is guessed
+ * from the header line, since Swedish spreadsheet exports use semicolons.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Bring a row from any source into the shape of data.json: canonical column
+ * names (matched case-insensitively), empty cells as null and `Designtechs`
+ * as an array.
+ *
+ * @param {object} row
+ * @returns {object}
+ */
+export function normalizeRow(row) {
+  const columns = new Map(DATASET_COLUMNS.map(c => [c.toLowerCase(), c]));
+  const item = {};
+  Object.entries(row).forEach(([key, value]) => {
+    const column = columns.get(String(key).trim().toLowerCase()) ?? String(key).trim();
+    const cleaned = typeof value === 'string' ? value.trim() : value;
+    item[column] = cleaned === '' || cleaned === undefined ? null : cleaned;
+  });
+
+  if (typeof item.Designtechs === 'string') item.Designtechs = splitList(item.Designtechs);
+  if (!item.Designtechs) delete item.Designtechs;
+  return item;
+}
+
+/**
+ * Parse the contents of a dropped or picked file into dataset rows.
+ * Accepts a JSON array with the data.json schema or a CSV export of the
+ * master sheet with a header row.
+ *
+ * @param {string} fileName - used to tell CSV from JSON
+ * @param {string} text - file contents
+ * @returns {Array<object>} dataset rows
+ * @throws {Error} when the file cannot be read as a dataset
+ */
+export function parseDatasetFile(fileName, text) {
+  let rows;
+  if (/\.json$/i.test(fileName)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${fileName} is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(parsed)) throw new Error(`${fileName} must contain an array of entries`);
+    rows = parsed;
+  } else if (/\.csv$/i.test(fileName)) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw new Error(`${fileName} is empty`);
+    rows = lines.map(cells => Object.fromEntries(header.map((h, i) => [h, cells[i] ?? ''])));
+  } else {
+    throw new Error(`${fileName}: only .csv and .json files are supported`);
+  }
+
+  const data = rows.map(normalizeRow).filter(item => item.Name);
+  if (data.length === 0) throw new Error(`${fileName} contains no entries with a Name`);
+  if (!data.some(item => item.Type)) throw new Error(`${fileName} has no Type column`);
+  return data;
+}
+
+// -----------------------------------------------------------------------------
+// Editing entries
+// -----------------------------------------------------------------------------
+
+/**
+ * Build a dataset row from the data editor's form values. Lists are stored
+ * the way data.json stores them: `Interoperability` as a comma-separated cell,
+ * `Designtechs` as an array and only on company rows.
+ *
+ * @param {object} form
+ * @param {string} form.Name
+ * @param {string} form.Type
+ * @param {string} [form.Description]
+ * @param {string} [form.Description_en]
+ * @param {string} [form.Website]
+ * @param {string[]} [form.Interoperability]
+ * @param {string[]} [form.Designtechs]
+ * @param {object} [original] - the row being edited; columns the form does not cover are kept
+ * @returns {object}
+ */
+export function entryToRow(form, original = {}) {
+  const text = (value) => (value && String(value).trim() ? String(value).trim() : null);
+  const row = {
+    ...original,
+    Name: String(form.Name).trim(),
+    Type: String(form.Type).trim(),
+    Interoperability: (form.Interoperability || []).length ? form.Interoperability.join(', ') : null,
+    Description: text(form.Description),
+    Description_en: text(form.Description_en),
+    Website: text(form.Website),
+  };
+  // Leave out empty columns the row did not have, e.g. Website on company rows
+  ['Interoperability', 'Description', 'Description_en', 'Website'].forEach(column => {
+    if (row[column] === null && !(column in original)) delete row[column];
+  });
+  if (isCompanyType(row.Type) && (form.Designtechs || []).length) row.Designtechs = [...form.Designtechs];
+  else delete row.Designtechs;
+  return row;
+}
+
+/**
+ * Rewrite the `Interoperability` and `Designtechs` references of every row:
+ * `rename(target, reference)` gets the canonical name a reference resolves
+ * to and returns the reference to keep, or null to drop it.
+ */
+function rewriteReferences(data, resolver, rename) {
+  return data.map(item => {
+    const next = { ...item };
+    if (item.Interoperability) {
+      const list = getInteroperability(item).map(ref => rename(resolver.resolve(ref), ref)).filter(Boolean);
+      next.Interoperability = list.length ? list.join(', ') : null;
+    }
+    if (Array.isArray(item.Designtechs)) {
+      next.Designtechs = getDesigntechs(item).map(ref => rename(resolver.resolve(ref), ref)).filter(Boolean);
+    }
+    return next;
+  });
+}
+
+/**
+ * Add or replace an entry. When the entry is renamed, references to its old
+ * name in other rows follow the new name.
+ *
+ * @param {Array} data - dataset rows
+ * @param {string|null} name - Name of the row to replace, null to add a new row
+ * @param {object} row - from entryToRow
+ * @param {Object<string,string>} [aliases] - alias map, used to find references to the old name
+ * @returns {Array} new dataset rows
+ */
+export function saveEntry(data, name, row, aliases = {}) {
+  if (name === null) return [...data, row];
+
+  const resolver = createNameResolver(data.map(item => item.Name), aliases);
+  const updated = data.map(item => (item.Name === name ? row : item));
+  if (row.Name === name) return updated;
+  return rewriteReferences(updated, resolver, (target, ref) => (target === name ? row.Name : ref));
+}
+
+/**
+ * Delete an entry and the references other rows make to it.
+ *
+ * @param {Array} data - dataset rows
+ * @param {string} name - Name of the row to delete
+ * @param {Object<string,string>} [aliases]
+ * @returns {Array} new dataset rows
+ */
+export function deleteEntry(data, name, aliases = {}) {
+  const resolver = createNameResolver(data.map(item => item.Name), aliases);
+  return rewriteReferences(data.filter(item => item.Name !== name), resolver, (target, ref) => (target === name ? null : ref));
+}
+
+/**
+ * Serialize dataset rows the way data.json is written.
+ *
+ * @param {Array} data
+ * @returns {string}
+ */
+export function serializeDataset(data) {
+  return JSON.stringify(data, null, 4) + '\n';
+}
@@ -0,0 +1,189 @@
+/**
+ * forceLayout.js
+ * The d3-force simulation behind "Start simulation". It runs in a Web Worker
+ * (forceLayoutWorker.js) that streams positions back, so ticking never
+ * blocks dragging or panning.
+ *
+ * Simulation nodes are plain records: { id, x, y, width, type } with x/y the
+ * top-left corner of the ReactFlow node and width its measured width. Edges
+ * are { source, target, weight }, weight 1 unless the edge mode weighs them.
+ *
+ * Force settings can be tuned in ForceLayoutPanel and stored as named
+ * presets in localStorage, so a figure can be laid out again the same way.
+ */
+
+import {
+  forceSimulation,
+  forceLink,
+  forceManyBody,
+  forceX,
+  forceY,
+} from 'd3-force';
+import { collide } from './collide.js';
+
+// Largest per-tick movement (flow units) at which the layout counts as settled
+export const SETTLE_SPEED = 0.05;
+
+// Ticks before movement is checked: a fresh simulation starts slow
+const WARMUP_TICKS = 20;
+
+const PRESETS_KEY = 'designtech-graph:force-presets';
+
+/**
+ * Force settings for a viewport. The centering pull is stronger across the
+ * shorter side of the screen, so the layout takes the shape of the screen.
+ *
+ * @param {number} width - viewport width
+ * @param {number} height - viewport height
+ * @returns {{charge:number,linkDistance:number,linkStrength:number,weightedLinks:boolean,
+ *   xStrength:number,yStrength:number,collideScale:number,typeClustering:number}}
+ */
+export function defaultForces(width, height) {
+  const aspectModifier = (width / height) * 0.8; // Adjust forces based on screen shape
+  const baseStrength = 0.075;
+  return {
+    charge: -1200,                                  // Repulsion between nodes
+    linkDistance: 100,
+    linkStrength: 0.05,
+    weightedLinks: false,                           // Scale link strength by edge weight
+    xStrength: baseStrength * (1 / aspectModifier), // Horizontal pull to the center
+    yStrength: baseStrength * aspectModifier,       // Vertical pull to the center
+    collideScale: 1,                                // Collision radius as a share of the node width
+    typeClustering: 0,                              // Pull towards the center of the node's type
+  };
+}
+
+/**
+ * Force pulling every node towards the centroid of the nodes of its type,
+ * so types gather in clusters.
+ *
+ * @param {number} strength - 0 switches the force off
+ * @returns {Function} d3 force
+ */
+export function forceTypeCluster(strength) {
+  let nodes = [];
+  const force = (alpha) => {
+    const centroids = new Map();
+    nodes.forEach(node => {
+      const c = centroids.get(node.type) ?? { x: 0, y: 0, count: 0 };
+      c.x += node.x;
+      c.y += node.y;
+      c.count += 1;
+      centroids.set(node.type, c);
+    });
+    nodes.forEach(node => {
+      const c = centroids.get(node.type);
+      node.vx += (c.x / c.count - node.x) * strength * alpha;
+      node.vy += (c.y / c.count - node.y) * strength * alpha;
+    });
+  };
+  force.initialize = (newNodes) => (nodes = newNodes);
+  return force;
+}
+
+/**
+ * Set up (or replace) the forces of a simulation.
+ *
+ * @param {object} simulation - d3 simulation
+ * @param {Array<{source:string,target:string,weight:number}>} edges - only edges between the simulation's nodes
+ * @param {object} forces - see defaultForces
+ * @returns {object} the simulation
+ */
+export function applyForces(simulation, edges, forces) {
+  const maxWeight = Math.max(...edges.map(e => e.weight), 1);
+  const linkStrength = forces.weightedLinks
+    ? (edge) => forces.linkStrength * (edge.weight / maxWeight)
+    : forces.linkStrength;
+
+  return simulation
+    .force('charge', forceManyBody().strength(forces.charge))
+    .force('x', forceX().x(0).strength(forces.xStrength))
+    .force('y', forceY().y(0).strength(forces.yStrength))
+    .force('collide', collide(forces.collideScale))      // Prevent node overlap
+    .force('cluster', forces.typeClustering > 0 ? forceTypeCluster(forces.typeClustering) : null)
+    .force('link', forceLink(edges.map(e => ({ ...e }))).id(d => d.id).strength(linkStrength).distance(forces.linkDistance));
+}
+
+/**
+ * Build a stopped simulation; advance it with `simulation.tick()`.
+ *
+ * @param {Array<{id:string,x:number,y:number,width:number,type:string}>} nodes - mutated in place
+ * @param {Array<{source:string,target:string,weight:number}>} edges - only edges between `nodes`
+ * @param {object} forces - see defaultForces
+ * @returns {object} d3 simulation
+ */
+export function createSimulation(nodes, edges, forces) {
+  return applyForces(forceSimulation(nodes).stop(), edges, forces); // Ticked by the worker
+}
+
+/**
+ * Whether the simulation has cooled down or its nodes have stopped moving.
+ *
+ * @param {object} simulation - d3 simulation
+ * @param {number} ticks - ticks run so far
+ * @returns {boolean}
+ */
+export function isSettled(simulation, ticks) {
+  if (simulation.alpha() < simulation.alphaMin()) return true;
+  if (ticks < WARMUP_TICKS) return false;
+  return simulation.nodes().every(node => Math.hypot(node.vx, node.vy) < SETTLE_SPEED);
+}
+
+// Presets
+
+function readPresets() {
+  try {
+    return JSON.parse(window.localStorage.getItem(PRESETS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function writePresets(presets) {
+  try {
+    window.localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    return true;
+  } catch {
+    // Private browsing or a full quota
+    return false;
+  }
+}
+
+/**
+ * @returns {string[]} names of the saved force presets, sorted
+ */
+export function listForcePresets() {
+  return Object.keys(readPresets()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * @param {string} name
+ * @param {object} forces - see defaultForces
+ * @returns {boolean} false when the browser refused to store it
+ */
+export function saveForcePreset(name, forces) {
+  return writePresets({ ...readPresets(), [name]: forces });
+}
+
+/**
+ * Settings of a saved preset. Settings added since it was saved take their
+ * value from `defaults`.
+ *
+ * @param {string} name
+ * @param {object} defaults - see defaultForces
+ * @returns {object|null}
+ */
+export function loadForcePreset(name, defaults) {
+  const preset = readPresets()[name];
+  return preset ? { ...defaults, ...preset } : null;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} false when the browser refused to store the change
+ */
+export function deleteForcePreset(name) {
+  const presets = readPresets();
+  delete presets[name];
+  return writePresets(presets);
+}
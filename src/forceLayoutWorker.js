@@ -0,0 +1,91 @@
+/**
+ * forceLayoutWorker.js
+ * Web Worker running the force simulation of forceLayout.js off the main
+ * thread.
+ *
+ * Messages in:
+ * - { type: 'start', nodes, edges, forces } - (re)start with fresh nodes
+ * - { type: 'forces', forces } - change the force settings of the running simulation
+ * - { type: 'drag', nodes: [{ id, x, y }] } - pin nodes under the pointer and keep the layout warm
+ * - { type: 'drop', nodes: [{ id, x, y }] } - leave the nodes pinned where they were dropped
+ * - { type: 'stop' }
+ *
+ * Messages out:
+ * - { type: 'tick', positions } - Float64Array of x, y pairs in the order of the start message's nodes
+ * - { type: 'end' } - the layout has settled and the simulation stopped
+ */
+
+import { applyForces, createSimulation, isSettled } from './forceLayout.js';
+
+const FRAME_MS = 1000 / 60;
+
+let simulation = null;
+let nodesById = new Map();
+let edges = [];
+let ticks = 0;
+let dragging = false;
+let timer = null;
+
+function stop() {
+  clearTimeout(timer);
+  simulation = null;
+}
+
+function step() {
+  simulation.tick();
+  ticks += 1;
+
+  const nodes = simulation.nodes();
+  const positions = new Float64Array(nodes.length * 2);
+  nodes.forEach((node, i) => {
+    positions[2 * i] = node.fx ?? node.x;
+    positions[2 * i + 1] = node.fy ?? node.y;
+  });
+  self.postMessage({ type: 'tick', positions }, [positions.buffer]);
+
+  if (!dragging && isSettled(simulation, ticks)) {
+    stop();
+    self.postMessage({ type: 'end' });
+  } else {
+    timer = setTimeout(step, FRAME_MS);
+  }
+}
+
+// Fix dragged nodes at the pointer; the simulation moves everything else around them
+function pin(nodes) {
+  nodes.forEach(({ id, x, y }) => {
+    const node = nodesById.get(id);
+    if (!node) return;
+    node.fx = x;
+    node.fy = y;
+  });
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'start') {
+    stop();
+    const ids = new Set(data.nodes.map(n => n.id));
+    edges = data.edges.filter(e => ids.has(e.source) && ids.has(e.target));
+    simulation = createSimulation(data.nodes, edges, data.forces);
+    nodesById = new Map(data.nodes.map(n => [n.id, n]));
+    ticks = 0;
+    dragging = false;
+    step();
+  } else if (!simulation) {
+    // Drags and force changes after the layout settled do not restart it
+  } else if (data.type === 'forces') {
+    applyForces(simulation, edges, data.forces);
+    simulation.alpha(Math.max(simulation.alpha(), 0.3)); // Warm up again so the change shows
+    ticks = 0;
+  } else if (data.type === 'drag') {
+    pin(data.nodes);
+    if (!dragging) simulation.alphaTarget(0.3); // Reheat while the user pulls nodes around
+    dragging = true;
+  } else if (data.type === 'drop') {
+    pin(data.nodes);
+    simulation.alphaTarget(0);
+    dragging = false;
+  } else if (data.type === 'stop') {
+    stop();
+  }
+};
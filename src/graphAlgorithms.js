@@ -0,0 +1,146 @@
+/**
+ * graphAlgorithms.js
+ * Traversal helpers on the edges shown in the graph, treated as an
+ * undirected, unweighted graph: adjacency lists, shortest paths and the
+ * top-k alternative paths (Yen's algorithm).
+ */
+
+/**
+ * Key identifying the undirected edge between two nodes.
+ *
+ * @param {string} a - node id
+ * @param {string} b - node id
+ * @returns {string}
+ */
+export const edgeKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+/**
+ * Build adjacency lists from ReactFlow edges. Hidden edges are left out.
+ *
+ * @param {Array} edges - ReactFlow edges
+ * @returns {Map<string,string[]>} node id -> sorted neighbor ids
+ */
+export function buildAdjacency(edges) {
+  const adjacency = new Map();
+  const link = (a, b) => {
+    if (!adjacency.has(a)) adjacency.set(a, new Set());
+    adjacency.get(a).add(b);
+  };
+  edges.forEach(edge => {
+    if (edge.hidden || edge.source === edge.target) return;
+    link(edge.source, edge.target);
+    link(edge.target, edge.source);
+  });
+  // Sorted neighbors keep the results stable between renders
+  return new Map([...adjacency].map(([id, neighbors]) => [id, [...neighbors].sort()]));
+}
+
+/**
+ * Breadth-first shortest path between two nodes.
+ *
+ * @param {Map<string,string[]>} adjacency - from buildAdjacency
+ * @param {string} source
+ * @param {string} target
+ * @param {object} [exclude]
+ * @param {Set<string>} [exclude.nodes] - node ids the path may not pass through
+ * @param {Set<string>} [exclude.edges] - edge keys the path may not use
+ * @returns {string[]|null} node ids from source to target, or null when unreachable
+ */
+export function shortestPath(adjacency, source, target, { nodes: excludedNodes = new Set(), edges: excludedEdges = new Set() } = {}) {
+  if (source === target) return [source];
+  const previous = new Map([[source, null]]);
+  const queue = [source];
+
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    for (const next of adjacency.get(current) || []) {
+      if (previous.has(next) || excludedNodes.has(next) || excludedEdges.has(edgeKey(current, next))) continue;
+      previous.set(next, current);
+      if (next === target) {
+        const path = [target];
+        for (let step = current; step !== null; step = previous.get(step)) path.unshift(step);
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+  return null;
+}
+
+/**
+ * The k shortest loopless paths between two nodes (Yen's algorithm), shortest
+ * first. Paths of equal length are ordered alphabetically by their node ids.
+ *
+ * @param {Map<string,string[]>} adjacency - from buildAdjacency
+ * @param {string} source
+ * @param {string} target
+ * @param {number} [k=3]
+ * @returns {string[][]} up to k paths, each a list of node ids
+ */
+export function kShortestPaths(adjacency, source, target, k = 3) {
+  const first = shortestPath(adjacency, source, target);
+  if (!first) return [];
+
+  const found = [first];
+  const candidates = [];
+  const seen = new Set([first.join('\u0000')]);
+
+  while (found.length < k) {
+    const previous = found[found.length - 1];
+
+    for (let i = 0; i < previous.length - 1; i++) {
+      const root = previous.slice(0, i + 1);
+      const spur = previous[i];
+
+      // Leave out the next hop of every found path sharing this root, and the root itself
+      const excludedEdges = new Set();
+      found.forEach(path => {
+        if (path.length > i + 1 && root.every((id, index) => path[index] === id)) {
+          excludedEdges.add(edgeKey(path[i], path[i + 1]));
+        }
+      });
+      const excludedNodes = new Set(root.slice(0, -1));
+
+      const spurPath = shortestPath(adjacency, spur, target, { nodes: excludedNodes, edges: excludedEdges });
+      if (!spurPath) continue;
+
+      const candidate = [...root.slice(0, -1), ...spurPath];
+      const key = candidate.join('\u0000');
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push(candidate);
+      }
+    }
+
+    if (!candidates.length) break;
+    candidates.sort((a, b) => a.length - b.length || a.join('\u0000').localeCompare(b.join('\u0000')));
+    found.push(candidates.shift());
+  }
+
+  return found;
+}
+
+/**
+ * Breadth-first hop distances from one node.
+ *
+ * @param {Map<string,string[]>} adjacency - from buildAdjacency
+ * @param {string} source
+ * @param {number} [maxDepth=Infinity] - stop expanding beyond this many hops
+ * @returns {Map<string,number>} node id -> hops from source (source itself at 0)
+ */
+export function hopDistances(adjacency, source, maxDepth = Infinity) {
+  const distances = new Map([[source, 0]]);
+  const queue = [source];
+
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    const distance = distances.get(current);
+    if (distance >= maxDepth) continue;
+    for (const next of adjacency.get(current) || []) {
+      if (distances.has(next)) continue;
+      distances.set(next, distance + 1);
+      queue.push(next);
+    }
+  }
+  return distances;
+}
@@ -0,0 +1,252 @@
+/**
+ * graphExport.js
+ * Serialize the current graph for network analysis tools such as Gephi and
+ * Cytoscape: GraphML, GEXF (with viz attributes) and node-link JSON.
+ *
+ * Only what is visible is exported: hidden nodes (type filter, edge mode)
+ * and edges touching them are left out.
+ */
+
+// Node attributes written to every format, with their GraphML/GEXF types
+const NODE_ATTRIBUTES = [
+  { key: 'label', type: 'string' },
+  { key: 'type', type: 'string' },
+  { key: 'color', type: 'string' },
+  { key: 'size', type: 'double' },
+  { key: 'x', type: 'double' },
+  { key: 'y', type: 'double' },
+  { key: 'description', type: 'string' },
+  { key: 'website', type: 'string' },
+];
+
+const EDGE_ATTRIBUTES = [
+  { key: 'mode', type: 'string' },
+  { key: 'formats', type: 'string' },
+  { key: 'direction', type: 'string' },
+];
+
+export const EXPORT_FORMATS = [
+  { value: 'graphml', label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+  { value: 'gexf', label: 'GEXF', extension: 'gexf', mimeType: 'application/gexf+xml' },
+  { value: 'json', label: 'Node-link JSON', extension: 'json', mimeType: 'application/json' },
+];
+
+/**
+ * Collect the visible part of the ReactFlow state as plain records.
+ *
+ * @param {Array} nodes - ReactFlow nodes
+ * @param {Array} edges - ReactFlow edges
+ * @param {object} options
+ * @param {string} options.edgeMode - active edge mode, stored on the graph and each edge
+ * @returns {{edgeMode:string,nodes:Array<object>,edges:Array<object>}}
+ */
+export function collectExportGraph(nodes, edges, { edgeMode }) {
+  const visible = nodes.filter(n => !n.hidden);
+  const ids = new Set(visible.map(n => n.id));
+
+  return {
+    edgeMode,
+    nodes: visible.map(n => ({
+      id: n.id,
+      label: n.data.label ?? n.id,
+      type: n.data.type ?? '',
+      color: n.data.color ?? '',
+      size: n.data.size ?? 1,
+      x: n.position.x,
+      y: n.position.y,
+      description: n.data.description ?? '',
+      website: n.data.website ?? '',
+    })),
+    edges: edges
+      .filter(e => !e.hidden && ids.has(e.source) && ids.has(e.target))
+      .map(e => ({
+        id: e.id,
+        source: e.source,
+        target: e.target,
+        mode: e.data?.kind ?? edgeMode, // 'combined' mode mixes company and interoperability edges
+        formats: (e.data?.formats || []).join(', '),
+        direction: e.data?.direction ?? '', // Which side declares an interoperability link, see buildInteroperabilityEdges
+      })),
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert a CSS hex (#rgb / #rrggbb) or hsl() color into RGB components.
+ *
+ * @param {string} color
+ * @returns {{r:number,g:number,b:number}|null}
+ */
+export function parseColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+    const value = parseInt(digits, 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+  }
+
+  const hsl = /^hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*\)$/i.exec(color || '');
+  if (hsl) {
+    const h = Number(hsl[1]) / 360;
+    const s = Number(hsl[2]) / 100;
+    const l = Number(hsl[3]) / 100;
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return {
+      r: Math.round(channel(h + 1 / 3) * 255),
+      g: Math.round(channel(h) * 255),
+      b: Math.round(channel(h - 1 / 3) * 255),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Serialize a graph from collectExportGraph as GraphML.
+ *
+ * @param {object} graph
+ * @returns {string}
+ */
+export function toGraphML(graph) {
+  const keys = [
+    ...NODE_ATTRIBUTES.map(a => `  <key id="${a.key}" for="node" attr.name="${a.key}" attr.type="${a.type}"/>`),
+    ...EDGE_ATTRIBUTES.map(a => `  <key id="e_${a.key}" for="edge" attr.name="${a.key}" attr.type="${a.type}"/>`),
+  ];
+
+  const nodes = graph.nodes.map(n => [
+    `    <node id="${escapeXml(n.id)}">`,
+    ...NODE_ATTRIBUTES.map(a => `      <data key="${a.key}">${escapeXml(n[a.key])}</data>`),
+    '    </node>',
+  ].join('\n'));
+
+  const edges = graph.edges.map(e => [
+    `    <edge id="${escapeXml(e.id)}" source="${escapeXml(e.source)}" target="${escapeXml(e.target)}">`,
+    ...EDGE_ATTRIBUTES.map(a => `      <data key="e_${a.key}">${escapeXml(e[a.key])}</data>`),
+    '    </edge>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys,
+    `  <graph id="designtech-${escapeXml(graph.edgeMode)}" edgedefault="undirected">`,
+    ...nodes,
+    ...edges,
+    '  </graph>',
+    '</graphml>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Serialize a graph from collectExportGraph as GEXF 1.3. Color, size and
+ * position go into the viz namespace so Gephi shows the same picture.
+ *
+ * @param {object} graph
+ * @returns {string}
+ */
+export function toGEXF(graph) {
+  const nodeAttributes = NODE_ATTRIBUTES.filter(a => !['label', 'x', 'y', 'size'].includes(a.key));
+
+  const nodes = graph.nodes.map(n => {
+    const rgb = parseColor(n.color);
+    return [
+      `      <node id="${escapeXml(n.id)}" label="${escapeXml(n.label)}">`,
+      '        <attvalues>',
+      ...nodeAttributes.map(a => `          <attvalue for="${a.key}" value="${escapeXml(n[a.key])}"/>`),
+      '        </attvalues>',
+      rgb ? `        <viz:color r="${rgb.r}" g="${rgb.g}" b="${rgb.b}"/>` : null,
+      `        <viz:size value="${n.size}"/>`,
+      // GEXF has y pointing up, the canvas has y pointing down
+      `        <viz:position x="${n.x}" y="${-n.y}" z="0"/>`,
+      '      </node>',
+    ].filter(Boolean).join('\n');
+  });
+
+  const edges = graph.edges.map(e => [
+    `      <edge id="${escapeXml(e.id)}" source="${escapeXml(e.source)}" target="${escapeXml(e.target)}">`,
+    '        <attvalues>',
+    ...EDGE_ATTRIBUTES.map(a => `          <attvalue for="e_${a.key}" value="${escapeXml(e[a.key])}"/>`),
+    '        </attvalues>',
+    '      </edge>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    '  <meta>',
+    '    <creator>DesignTech graph</creator>',
+    `    <description>Edge mode: ${escapeXml(graph.edgeMode)}</description>`,
+    '  </meta>',
+    '  <graph mode="static" defaultedgetype="undirected">',
+    '    <attributes class="node">',
+    ...nodeAttributes.map(a => `      <attribute id="${a.key}" title="${a.key}" type="${a.type}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...EDGE_ATTRIBUTES.map(a => `      <attribute id="e_${a.key}" title="${a.key}" type="${a.type}"/>`),
+    '    </attributes>',
+    '    <nodes>',
+    ...nodes,
+    '    </nodes>',
+    '    <edges>',
+    ...edges,
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Serialize a graph from collectExportGraph as node-link JSON, the layout
+ * read by networkx (`node_link_graph`) and d3.
+ *
+ * @param {object} graph
+ * @returns {string}
+ */
+export function toNodeLinkJSON(graph) {
+  return JSON.stringify({
+    directed: false,
+    multigraph: false,
+    graph: { edgeMode: graph.edgeMode },
+    nodes: graph.nodes,
+    links: graph.edges,
+  }, null, 2) + '\n';
+}
+
+/**
+ * Serialize a graph in one of EXPORT_FORMATS.
+ *
+ * @param {object} graph - from collectExportGraph
+ * @param {string} format - 'graphml' | 'gexf' | 'json'
+ * @returns {string}
+ */
+export function serializeGraph(graph, format) {
+  switch (format) {
+    case 'graphml':
+      return toGraphML(graph);
+    case 'gexf':
+      return toGEXF(graph);
+    case 'json':
+      return toNodeLinkJSON(graph);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * history.js
+ * Undo/redo stack for graph edits and layout operations.
+ *
+ * Every entry pairs an action (an i18n key with its parameters, for the
+ * history list) with a snapshot of the graph. In `past` the snapshot is the
+ * state before the action, in `future` the state after it, so stepping
+ * through the history swaps the current snapshot for the stored one.
+ * Snapshots are opaque here; App.jsx decides what goes into them.
+ */
+
+export const HISTORY_LIMIT = 100;
+
+// Steps of one slider drag closer together than this become a single entry
+export const MERGE_MS = 1000;
+
+/**
+ * @returns {{past:Array,future:Array}}
+ */
+export function emptyHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * Add an action on top of the history. Whatever was undone before is dropped,
+ * as is the oldest entry once the history holds `limit` entries.
+ *
+ * With `merge`, an action of the same kind as the last entry and recorded
+ * within MERGE_MS of it replaces that entry's action instead, keeping the
+ * state from before the first step, so dragging a slider is one entry.
+ *
+ * @param {{past:Array,future:Array}} history
+ * @param {{key:string,params?:object}} action - i18n key and parameters describing the action
+ * @param {object} snapshot - state before the action
+ * @param {object} [options]
+ * @param {boolean} [options.merge=false]
+ * @param {number} [options.limit]
+ * @returns {{past:Array,future:Array}} updated copy of the history
+ */
+export function recordAction(history, action, snapshot, { merge = false, limit = HISTORY_LIMIT } = {}) {
+  const time = Date.now();
+  const last = history.past[history.past.length - 1];
+  if (merge && !history.future.length && last?.action.key === action.key && time - last.time < MERGE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, action, time }], future: [] };
+  }
+  const past = [...history.past, { action, snapshot, time }];
+  return { past: past.slice(-limit), future: [] };
+}
+
+/**
+ * Move through the history: undo (negative steps) or redo (positive steps)
+ * as many actions as are available.
+ *
+ * @param {{past:Array,future:Array}} history
+ * @param {object} current - snapshot of the state shown now
+ * @param {number} steps - e.g. -1 to undo, 1 to redo the last undone action
+ * @returns {{history:{past:Array,future:Array},snapshot:object}|null} the new
+ *   history and the snapshot to restore, or null when there is nothing to undo or redo
+ */
+export function travel(history, current, steps) {
+  let { past, future } = history;
+  let snapshot = current;
+  let moved = false;
+
+  for (; steps < 0 && past.length; steps++) {
+    const entry = past[past.length - 1];
+    past = past.slice(0, -1);
+    future = [{ ...entry, snapshot }, ...future];
+    snapshot = entry.snapshot;
+    moved = true;
+  }
+  for (; steps > 0 && future.length; steps--) {
+    const [entry, ...rest] = future;
+    future = rest;
+    past = [...past, { ...entry, snapshot }];
+    snapshot = entry.snapshot;
+    moved = true;
+  }
+
+  return moved ? { history: { past, future }, snapshot } : null;
+}
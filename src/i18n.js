@@ -0,0 +1,701 @@
+/**
+ * i18n.js
+ * Interface language (English or Swedish) for the DesignTech graph: UI
+ * strings, display names of node types and translated dataset fields.
+ *
+ * The dataset itself is mostly written in Swedish. Translations of a row's
+ * text fields live next to the original as `<Field>_<language>` columns,
+ * e.g. `Description_en`; when a translation is missing the original text is
+ * shown. Missing UI strings fall back to English.
+ */
+
+import { createContext, useContext } from 'react';
+
+export const LANGUAGES = [
+  { value: 'en', label: 'English' },
+  { value: 'sv', label: 'Svenska' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const STORAGE_KEY = 'designtech-graph:language';
+
+// Display names of the `Type` values of the master sheet
+const TYPE_NAMES = {
+  'Company': { sv: 'Företag' },
+  'Filformat': { en: 'File format' },
+  'AI & ML': {},
+  'BIM': {},
+  'Datadelning & moln': { en: 'Data sharing & cloud' },
+  'Datadelning & moln (bibliotek)': { en: 'Data sharing & cloud (libraries)' },
+  'Energi- och klimat': { en: 'Energy & climate' },
+  'GIS': {},
+  'LCA': {},
+  'Generativ plattform': { en: 'Generative platform' },
+  'Modellering': { en: 'Modeling' },
+  'Spelmotor': { en: 'Game engine' },
+  'Strukturanalys': { en: 'Structural analysis' },
+  'UI & gränssnitt': { en: 'UI & interfaces' },
+  'Utveckling, kod & språk': { en: 'Development, code & languages' },
+  'Visualisering': { en: 'Visualization' },
+};
+
+// UI strings. Values are either text or { one, other } picked by `params.count`;
+// `{name}` is replaced by `params.name`.
+const MESSAGES = {
+  en: {
+    'app.language': 'Language',
+    'app.startSimulation': 'Start force simulation',
+    'app.stopSimulation': 'Stop force simulation',
+    'app.addEntry': 'Add entry',
+    'app.downloadData': 'Download data.json',
+    'app.downloadDataTitle': 'Download the dataset with your edits',
+    'app.copyLink': 'Copy link',
+    'app.copyLinkTitle': 'The address bar always holds a link to the current view',
+    'app.withPositions': 'with positions',
+    'app.colorBy': 'Color by',
+    'app.colorByType': 'Type',
+    'app.colorByCommunity': 'Community',
+    'app.edgeMode': 'Edge mode',
+    'app.neighborhoodDepth': 'Neighborhood depth: {depth}',
+    'app.neighborhoodReach': { one: 'Everything reachable is within {count} hop', other: 'Everything reachable is within {count} hops' },
+    'app.neighborhoodHint': 'Select a node to explore its neighborhood',
+    'app.atLeast': 'at least {value}',
+    'app.coAdoptionThreshold': { one: 'Used together by at least {count} company', other: 'Used together by at least {count} companies' },
+    'app.highlightUndeclared': 'Highlight pairs not declared interoperable ({undeclared} of {total})',
+    'app.showFormats': 'Show file formats on edges',
+
+    'edgeModes.company': 'Company → Designtechs',
+    'edgeModes.interoperability': 'Interoperability',
+    'edgeModes.formats': 'Tools ↔ File formats',
+    'edgeModes.combined': 'Company + Interoperability',
+    'edgeModes.similarity': 'Company similarity (shared tools)',
+    'edgeModes.coadoption': 'Tool co-adoption (used together)',
+    'edgeModes.compare': 'Compare companies',
+    'edgeModes.path': 'Path finder (interoperability)',
+    'edgeLayers.company': 'Company usage',
+    'edgeLayers.interoperability': 'Interoperability',
+    'similarityMetrics.jaccard': 'Jaccard',
+    'similarityMetrics.shared': 'Shared tools',
+
+    'arrange.byName': 'Arrange by Name',
+    'arrange.byType': 'Arrange by Type',
+    'arrange.columns': 'Arrange in columns',
+    'arrange.columnsTitle': 'Arrange vertically by type',
+
+    'typeFilter.title': 'Filter types',
+
+    'search.placeholder': 'Search nodes…',
+    'search.inDescription': 'description',
+
+    'loader.load': 'Load data…',
+    'loader.loadTitle': 'Load a CSV or JSON dataset (or drop a file on the page)',
+    'loader.useBuiltIn': 'use built-in data',
+    'loader.drop': 'Drop a CSV or JSON file to load it',
+
+    'export.graph': 'Export graph…',
+    'export.graphTitle': 'Export the visible graph',
+    'export.image': 'Image export',
+    'export.format': 'Format',
+    'export.svg': 'SVG (vector)',
+    'export.resolution': 'Resolution',
+    'export.screen': 'Screen (96 DPI)',
+    'export.double': '2× (192 DPI)',
+    'export.print': 'Print (300 DPI)',
+    'export.poster': 'Poster (600 DPI)',
+    'export.title': 'Title (optional)',
+    'export.legend': 'Include legend',
+    'export.rendering': 'Rendering…',
+    'export.download': 'Download image',
+    'export.nothingVisible': 'Nothing to export: every node is hidden',
+    'export.failed': 'Export failed: {message}',
+
+    'workspace.title': 'Workspace',
+    'workspace.autosaved': 'Autosaved {time}',
+    'workspace.autosaveHint': 'Edits are autosaved in this browser',
+    'workspace.autosaveFailed': 'Autosave failed: the browser does not allow storing data here, or its storage is full',
+    'workspace.saveFailed': 'Could not save: the browser does not allow storing data here, or its storage is full',
+    'workspace.name': 'Workspace name',
+    'workspace.saveAs': 'Save as',
+    'workspace.load': 'load',
+    'workspace.delete': 'delete',
+    'workspace.resetConfirm': 'Discard dataset edits, drawn edges and positions?',
+    'workspace.reset': 'Reset to dataset',
+
+    'history.title': { one: 'History ({count} action)', other: 'History ({count} actions)' },
+    'history.undo': 'Undo',
+    'history.undoTitle': 'Undo the last action (Ctrl+Z)',
+    'history.redo': 'Redo',
+    'history.redoTitle': 'Redo the last undone action (Ctrl+Shift+Z)',
+    'history.empty': 'Moves, layouts, edits and filter changes are listed here',
+    'history.start': 'Start',
+    'history.move': { one: 'Move {name}', other: 'Move {count} nodes' },
+    'history.simulation': 'Run force simulation',
+    'history.connect': 'Draw edge {source} → {target}',
+    'history.deleteEdges': { one: 'Delete edge', other: 'Delete {count} edges' },
+    'history.deleteNodes': { one: 'Remove {name} from the graph', other: 'Remove {count} nodes from the graph' },
+    'history.addEntry': 'Add {name}',
+    'history.editEntry': 'Edit {name}',
+    'history.deleteEntry': 'Delete {name}',
+    'history.showType': 'Show {type}',
+    'history.hideType': 'Hide {type}',
+    'history.clusterFilter': 'Show only {name}',
+    'history.clusterFilterOff': 'Show all communities',
+    'history.edgeMode': 'Edge mode: {mode}',
+    'history.showLayer': 'Show {layer}',
+    'history.hideLayer': 'Hide {layer}',
+    'history.similarityMetric': 'Similarity measure: {metric}',
+    'history.similarityThreshold': 'Similarity at least {value}',
+    'history.coAdoptionThreshold': { one: 'Used together by at least {count} company', other: 'Used together by at least {count} companies' },
+    'history.undeclaredOn': 'Highlight pairs not declared interoperable',
+    'history.undeclaredOff': 'Stop highlighting pairs not declared interoperable',
+    'history.colorByType': 'Color by type',
+    'history.colorByCommunity': 'Color by community',
+    'history.showFormats': 'Show file formats on edges',
+    'history.hideFormats': 'Hide file formats on edges',
+    'history.loadDataset': 'Load {name}',
+    'history.loadWorkspace': 'Load workspace {name}',
+    'history.resetWorkspace': 'Reset to dataset',
+
+    'forces.title': 'Force layout',
+    'forces.hint': 'Applied right away while the simulation runs',
+    'forces.charge': 'Charge',
+    'forces.chargeTitle': 'Repulsion between nodes; more negative pushes them further apart',
+    'forces.linkDistance': 'Link distance',
+    'forces.linkDistanceTitle': 'Preferred length of an edge',
+    'forces.linkStrength': 'Link strength',
+    'forces.linkStrengthTitle': 'How hard edges pull towards their preferred length',
+    'forces.xStrength': 'Horizontal centering',
+    'forces.xStrengthTitle': 'Pull towards the vertical center line',
+    'forces.yStrength': 'Vertical centering',
+    'forces.yStrengthTitle': 'Pull towards the horizontal center line',
+    'forces.collideScale': 'Collision radius',
+    'forces.collideScaleTitle': 'Space kept around each node, as a share of its width',
+    'forces.typeClustering': 'Cluster by type',
+    'forces.typeClusteringTitle': 'Pull towards the other nodes of the same type',
+    'forces.weightedLinks': 'Weight link strength by edge weight',
+    'forces.weightedLinksTitle': 'Heavier edges (similarity, co-adoption) pull harder',
+    'forces.reset': 'Reset to defaults',
+    'forces.presets': 'Presets',
+    'forces.presetName': 'Preset name',
+    'forces.saveAs': 'Save as',
+    'forces.saveFailed': 'Could not save: the browser does not allow storing data here, or its storage is full',
+    'forces.load': 'load',
+    'forces.delete': 'delete',
+
+    'metrics.title': 'Network metrics',
+    'metrics.sizeBy': 'Size nodes by',
+    'metrics.node': 'Node',
+    'metrics.sortTitle': 'Sort by this metric',
+    'metrics.degree': 'Degree',
+    'metrics.weightedDegree': 'Weighted degree',
+    'metrics.betweenness': 'Betweenness',
+    'metrics.closeness': 'Closeness',
+    'metrics.pagerank': 'PageRank',
+    'metrics.clustering': 'Clustering',
+
+    'clusters.title': 'Communities: {count}',
+    'clusters.method': 'Method',
+    'clusters.modularity': 'modularity {value}',
+    'clusters.name': 'Cluster {number}',
+    'clusters.only': 'only',
+    'clusters.showAll': 'show all',
+    'clusters.unclustered': { one: '{count} node without a community', other: '{count} nodes without a community' },
+    'communityMethods.louvain': 'Louvain',
+    'communityMethods.labelPropagation': 'Label propagation',
+
+    'aliases.title': 'Aliases: {applied} applied, {unresolved} unresolved',
+    'aliases.applied': 'Applied ({count})',
+    'aliases.usedBy': 'Used by: {names}',
+    'aliases.via.normalized': 'case/spacing',
+    'aliases.via.alias': 'alias',
+    'aliases.map': 'Alias map',
+    'aliases.remove': 'remove',
+    'aliases.unresolved': 'Unresolved ({count})',
+    'aliases.mapTo': 'map to…',
+    'aliases.download': 'Download aliases.json',
+
+    'audit.title': { one: 'One-way interoperability: {count} pair', other: 'One-way interoperability: {count} pairs' },
+    'audit.hint': 'Only one of the two tools lists the other. Check with the vendors whether the link goes both ways.',
+    'audit.notListedBack': '(not listed back by {name})',
+    'edges.oneWay': '{from} → {to} (not listed back by {to})',
+    'edges.similarity': '{source} ↔ {target} ({score}): {tools}',
+    'edges.sharedScore': '{count} shared',
+    'edges.jaccardScore': 'Jaccard {score}',
+    'edges.coadoption': { one: '{source} + {target}, used together by {count} company: {companies}', other: '{source} + {target}, used together by {count} companies: {companies}' },
+    'edges.coadoptionUndeclared': { one: '{source} + {target}, used together by {count} company (not declared interoperable): {companies}', other: '{source} + {target}, used together by {count} companies (not declared interoperable): {companies}' },
+
+    'issues.title': 'Data issues: {errors} errors, {warnings} warnings, {notes} notes',
+    'issues.missing-name': 'Missing names',
+    'issues.duplicate-name': 'Duplicate names',
+    'issues.similar-name': 'Names differing only in case or spacing',
+    'issues.unknown-type': 'Unknown types',
+    'issues.dangling-reference': 'Dangling references',
+    'issues.self-reference': 'Self-references',
+    'issues.duplicate-reference': 'Repeated references',
+    'issues.missing-description': 'Missing descriptions',
+    'issues.missing-website': 'Missing websites',
+    'issueMessages.missing-name': 'Has no Name',
+    'issueMessages.duplicate-name': '"{name}" is listed more than once',
+    'issueMessages.similar-name': 'Differs from "{reference}" only in case or spacing',
+    'issueMessages.unknown-type': 'Type "{reference}" is not a known type and no other entry uses it',
+    'issueMessages.dangling-reference': '{field} entry "{reference}" matches no Name',
+    'issueMessages.self-reference': 'Lists itself in {field}',
+    'issueMessages.duplicate-reference': '{field} lists "{reference}" more than once',
+    'issueMessages.missing-description': 'No Description',
+    'issueMessages.missing-website': 'No Website',
+
+    'path.title': 'Path finder',
+    'path.from': 'From… (or click a node)',
+    'path.to': 'To… (or click a node)',
+    'path.swap': 'Swap',
+    'path.alternatives': 'Alternatives',
+    'path.none': 'none',
+    'path.top': 'top {count}',
+    'path.noPath': 'No chain of interoperable tools connects these two.',
+    'path.shortest': 'Shortest',
+    'path.alternative': 'Alternative {number}',
+    'path.hops': { one: '{count} hop', other: '{count} hops' },
+
+    'compare.title': 'Compare companies',
+    'compare.hint': 'Pick two or more, here or by clicking company nodes.',
+    'compare.similarity': 'Similarity (Jaccard): {value}',
+    'compare.pairShared': '{count} shared',
+    'compare.usedByAll': 'Used by all ({count})',
+    'compare.usedBySome': 'Used by some ({count})',
+    'compare.only': 'Only {name} ({count})',
+    'compare.none': 'None',
+
+    'details.close': 'Close',
+    'details.edit': 'Edit',
+    'details.interoperable': 'Interoperable with ({count})',
+    'details.unresolved': 'Not in the dataset: {names}',
+    'details.stack': 'Stack ({count})',
+    'details.noTools': 'No tools listed',
+    'details.usedBy': 'Used by ({count})',
+    'fields.Description': 'Description',
+    'fields.Website': 'Website',
+    'fields.Kommentar': 'Comment',
+
+    'recommendations.title': 'Suggested tools for {name}',
+    'recommendations.highlight': 'Highlight in graph',
+    'recommendations.peers': 'Most similar stacks: {names}',
+    'recommendations.empty': 'No suggestions: the stack is empty or already covers its neighborhood.',
+    'recommendations.scoreTitle': 'Fit {fit}%, peers {peers}%',
+    'recommendations.worksWith': 'Works with {names}',
+    'recommendations.usedBy': 'Used by {count} of {total} similar companies: {names}',
+
+    'node.hopsFromSelection': { one: '{count} hop from selection', other: '{count} hops from selection' },
+    'node.suggested': 'Suggested tool #{rank}',
+
+    'editor.addTitle': 'New entry',
+    'editor.editTitle': 'Edit {name}',
+    'editor.name': 'Name',
+    'editor.type': 'Type',
+    'editor.newType': 'New type…',
+    'editor.newTypeName': 'Name of the new type',
+    'editor.description': 'Description',
+    'editor.descriptionEn': 'Description in English (optional)',
+    'editor.website': 'Website',
+    'editor.interoperability': 'Interoperable with',
+    'editor.designtechs': 'Designtechs (tools used)',
+    'editor.addReference': 'add…',
+    'editor.removeReference': 'Remove',
+    'editor.nameRequired': 'Name is required',
+    'editor.nameTaken': 'There already is an entry named "{name}"',
+    'editor.typeRequired': 'Type is required',
+    'editor.save': 'Save',
+    'editor.cancel': 'Cancel',
+    'editor.delete': 'Delete',
+    'editor.deleteConfirm': 'Delete "{name}" and all references to it?',
+  },
+
+  sv: {
+    'app.language': 'Språk',
+    'app.startSimulation': 'Starta kraftsimulering',
+    'app.stopSimulation': 'Stoppa kraftsimulering',
+    'app.addEntry': 'Lägg till post',
+    'app.downloadData': 'Ladda ner data.json',
+    'app.downloadDataTitle': 'Ladda ner datan med dina ändringar',
+    'app.copyLink': 'Kopiera länk',
+    'app.copyLinkTitle': 'Adressfältet innehåller alltid en länk till den aktuella vyn',
+    'app.withPositions': 'med positioner',
+    'app.colorBy': 'Färg efter',
+    'app.colorByType': 'Typ',
+    'app.colorByCommunity': 'Kluster',
+    'app.edgeMode': 'Kantläge',
+    'app.neighborhoodDepth': 'Grannskapsdjup: {depth}',
+    'app.neighborhoodReach': { one: 'Allt som går att nå ligger inom {count} steg', other: 'Allt som går att nå ligger inom {count} steg' },
+    'app.neighborhoodHint': 'Välj en nod för att utforska dess grannskap',
+    'app.atLeast': 'minst {value}',
+    'app.coAdoptionThreshold': { one: 'Används tillsammans av minst {count} företag', other: 'Används tillsammans av minst {count} företag' },
+    'app.highlightUndeclared': 'Markera par som inte angetts som kompatibla ({undeclared} av {total})',
+    'app.showFormats': 'Visa filformat på kanterna',
+
+    'edgeModes.company': 'Företag → Designtechs',
+    'edgeModes.interoperability': 'Kompatibilitet',
+    'edgeModes.formats': 'Verktyg ↔ Filformat',
+    'edgeModes.combined': 'Företag + Kompatibilitet',
+    'edgeModes.similarity': 'Företagslikhet (gemensamma verktyg)',
+    'edgeModes.coadoption': 'Samanvändning av verktyg',
+    'edgeModes.compare': 'Jämför företag',
+    'edgeModes.path': 'Vägsökning (kompatibilitet)',
+    'edgeLayers.company': 'Företagens verktyg',
+    'edgeLayers.interoperability': 'Kompatibilitet',
+    'similarityMetrics.jaccard': 'Jaccard',
+    'similarityMetrics.shared': 'Gemensamma verktyg',
+
+    'arrange.byName': 'Ordna efter namn',
+    'arrange.byType': 'Ordna efter typ',
+    'arrange.columns': 'Ordna i kolumner',
+    'arrange.columnsTitle': 'Ordna lodrätt efter typ',
+
+    'typeFilter.title': 'Filtrera typer',
+
+    'search.placeholder': 'Sök noder…',
+    'search.inDescription': 'beskrivning',
+
+    'loader.load': 'Läs in data…',
+    'loader.loadTitle': 'Läs in en CSV- eller JSON-fil (eller släpp en fil på sidan)',
+    'loader.useBuiltIn': 'använd inbyggd data',
+    'loader.drop': 'Släpp en CSV- eller JSON-fil för att läsa in den',
+
+    'export.graph': 'Exportera graf…',
+    'export.graphTitle': 'Exportera den synliga grafen',
+    'export.image': 'Bildexport',
+    'export.format': 'Format',
+    'export.svg': 'SVG (vektor)',
+    'export.resolution': 'Upplösning',
+    'export.screen': 'Skärm (96 DPI)',
+    'export.double': '2× (192 DPI)',
+    'export.print': 'Tryck (300 DPI)',
+    'export.poster': 'Affisch (600 DPI)',
+    'export.title': 'Rubrik (valfri)',
+    'export.legend': 'Ta med teckenförklaring',
+    'export.rendering': 'Renderar…',
+    'export.download': 'Ladda ner bild',
+    'export.nothingVisible': 'Inget att exportera: alla noder är dolda',
+    'export.failed': 'Exporten misslyckades: {message}',
+
+    'workspace.title': 'Arbetsyta',
+    'workspace.autosaved': 'Sparad automatiskt {time}',
+    'workspace.autosaveHint': 'Ändringar sparas automatiskt i den här webbläsaren',
+    'workspace.autosaveFailed': 'Den automatiska sparningen misslyckades: webbläsaren tillåter inte att data sparas här, eller så är lagringen full',
+    'workspace.saveFailed': 'Kunde inte spara: webbläsaren tillåter inte att data sparas här, eller så är lagringen full',
+    'workspace.name': 'Arbetsytans namn',
+    'workspace.saveAs': 'Spara som',
+    'workspace.load': 'öppna',
+    'workspace.delete': 'ta bort',
+    'workspace.resetConfirm': 'Kasta ändringar i datan, ritade kanter och positioner?',
+    'workspace.reset': 'Återställ till datan',
+
+    'history.title': { one: 'Historik ({count} åtgärd)', other: 'Historik ({count} åtgärder)' },
+    'history.undo': 'Ångra',
+    'history.undoTitle': 'Ångra den senaste åtgärden (Ctrl+Z)',
+    'history.redo': 'Gör om',
+    'history.redoTitle': 'Gör om den senast ångrade åtgärden (Ctrl+Shift+Z)',
+    'history.empty': 'Flyttar, layouter, ändringar och filter listas här',
+    'history.start': 'Start',
+    'history.move': { one: 'Flytta {name}', other: 'Flytta {count} noder' },
+    'history.simulation': 'Kör kraftsimulering',
+    'history.connect': 'Rita kant {source} → {target}',
+    'history.deleteEdges': { one: 'Ta bort kant', other: 'Ta bort {count} kanter' },
+    'history.deleteNodes': { one: 'Ta bort {name} från grafen', other: 'Ta bort {count} noder från grafen' },
+    'history.addEntry': 'Lägg till {name}',
+    'history.editEntry': 'Redigera {name}',
+    'history.deleteEntry': 'Ta bort {name}',
+    'history.showType': 'Visa {type}',
+    'history.hideType': 'Dölj {type}',
+    'history.clusterFilter': 'Visa bara {name}',
+    'history.clusterFilterOff': 'Visa alla kluster',
+    'history.edgeMode': 'Kantläge: {mode}',
+    'history.showLayer': 'Visa {layer}',
+    'history.hideLayer': 'Dölj {layer}',
+    'history.similarityMetric': 'Likhetsmått: {metric}',
+    'history.similarityThreshold': 'Likhet minst {value}',
+    'history.coAdoptionThreshold': 'Används tillsammans av minst {count} företag',
+    'history.undeclaredOn': 'Markera par som inte angetts som kompatibla',
+    'history.undeclaredOff': 'Sluta markera par som inte angetts som kompatibla',
+    'history.colorByType': 'Färg efter typ',
+    'history.colorByCommunity': 'Färg efter kluster',
+    'history.showFormats': 'Visa filformat på kanterna',
+    'history.hideFormats': 'Dölj filformat på kanterna',
+    'history.loadDataset': 'Öppna {name}',
+    'history.loadWorkspace': 'Öppna arbetsytan {name}',
+    'history.resetWorkspace': 'Återställ till datan',
+
+    'forces.title': 'Kraftlayout',
+    'forces.hint': 'Tillämpas direkt medan simuleringen körs',
+    'forces.charge': 'Laddning',
+    'forces.chargeTitle': 'Repulsion mellan noder; mer negativt trycker isär dem mer',
+    'forces.linkDistance': 'Kantlängd',
+    'forces.linkDistanceTitle': 'Önskad längd på en kant',
+    'forces.linkStrength': 'Kantstyrka',
+    'forces.linkStrengthTitle': 'Hur hårt kanter drar mot sin önskade längd',
+    'forces.xStrength': 'Vågrät centrering',
+    'forces.xStrengthTitle': 'Dragning mot den lodräta mittlinjen',
+    'forces.yStrength': 'Lodrät centrering',
+    'forces.yStrengthTitle': 'Dragning mot den vågräta mittlinjen',
+    'forces.collideScale': 'Kollisionsradie',
+    'forces.collideScaleTitle': 'Utrymme runt varje nod, som andel av dess bredd',
+    'forces.typeClustering': 'Gruppera efter typ',
+    'forces.typeClusteringTitle': 'Dragning mot andra noder av samma typ',
+    'forces.weightedLinks': 'Vikta kantstyrkan efter kantens vikt',
+    'forces.weightedLinksTitle': 'Tyngre kanter (likhet, samanvändning) drar hårdare',
+    'forces.reset': 'Återställ standardvärden',
+    'forces.presets': 'Förval',
+    'forces.presetName': 'Förvalets namn',
+    'forces.saveAs': 'Spara som',
+    'forces.saveFailed': 'Kunde inte spara: webbläsaren tillåter inte att data sparas här, eller så är lagringen full',
+    'forces.load': 'öppna',
+    'forces.delete': 'ta bort',
+
+    'metrics.title': 'Nätverksmått',
+    'metrics.sizeBy': 'Nodstorlek efter',
+    'metrics.node': 'Nod',
+    'metrics.sortTitle': 'Sortera efter det här måttet',
+    'metrics.degree': 'Grad',
+    'metrics.weightedDegree': 'Viktad grad',
+    'metrics.betweenness': 'Mellanliggande',
+    'metrics.closeness': 'Närhet',
+    'metrics.pagerank': 'PageRank',
+    'metrics.clustering': 'Klustring',
+
+    'clusters.title': 'Kluster: {count}',
+    'clusters.method': 'Metod',
+    'clusters.modularity': 'modularitet {value}',
+    'clusters.name': 'Kluster {number}',
+    'clusters.only': 'bara',
+    'clusters.showAll': 'visa alla',
+    'clusters.unclustered': { one: '{count} nod utan kluster', other: '{count} noder utan kluster' },
+    'communityMethods.louvain': 'Louvain',
+    'communityMethods.labelPropagation': 'Etikettspridning',
+
+    'aliases.title': 'Alias: {applied} tillämpade, {unresolved} olösta',
+    'aliases.applied': 'Tillämpade ({count})',
+    'aliases.usedBy': 'Används av: {names}',
+    'aliases.via.normalized': 'skiftläge/mellanslag',
+    'aliases.via.alias': 'alias',
+    'aliases.map': 'Aliaslista',
+    'aliases.remove': 'ta bort',
+    'aliases.unresolved': 'Olösta ({count})',
+    'aliases.mapTo': 'koppla till…',
+    'aliases.download': 'Ladda ner aliases.json',
+
+    'audit.title': 'Enkelriktad kompatibilitet: {count} par',
+    'audit.hint': 'Bara det ena av de två verktygen listar det andra. Kontrollera med leverantörerna om kopplingen gäller åt båda hållen.',
+    'audit.notListedBack': '(listas inte tillbaka av {name})',
+    'edges.oneWay': '{from} → {to} (listas inte tillbaka av {to})',
+    'edges.sharedScore': '{count} gemensamma',
+    'edges.coadoption': '{source} + {target}, används tillsammans av {count} företag: {companies}',
+    'edges.coadoptionUndeclared': '{source} + {target}, används tillsammans av {count} företag (inte angivna som kompatibla): {companies}',
+
+    'issues.title': 'Dataproblem: {errors} fel, {warnings} varningar, {notes} anmärkningar',
+    'issues.missing-name': 'Saknade namn',
+    'issues.duplicate-name': 'Dubblerade namn',
+    'issues.similar-name': 'Namn som bara skiljer i skiftläge eller mellanslag',
+    'issues.unknown-type': 'Okända typer',
+    'issues.dangling-reference': 'Hänvisningar utan mål',
+    'issues.self-reference': 'Hänvisningar till sig själv',
+    'issues.duplicate-reference': 'Upprepade hänvisningar',
+    'issues.missing-description': 'Saknade beskrivningar',
+    'issues.missing-website': 'Saknade webbplatser',
+    'issueMessages.missing-name': 'Saknar Name',
+    'issueMessages.duplicate-name': '"{name}" finns med mer än en gång',
+    'issueMessages.similar-name': 'Skiljer sig från "{reference}" bara i skiftläge eller mellanslag',
+    'issueMessages.unknown-type': 'Type "{reference}" är ingen känd typ och ingen annan post använder den',
+    'issueMessages.dangling-reference': '{field}-posten "{reference}" matchar inget Name',
+    'issueMessages.self-reference': 'Anger sig själv i {field}',
+    'issueMessages.duplicate-reference': '{field} anger "{reference}" mer än en gång',
+    'issueMessages.missing-description': 'Saknar Description',
+    'issueMessages.missing-website': 'Saknar Website',
+
+    'path.title': 'Vägsökning',
+    'path.from': 'Från… (eller klicka på en nod)',
+    'path.to': 'Till… (eller klicka på en nod)',
+    'path.swap': 'Byt plats',
+    'path.alternatives': 'Alternativ',
+    'path.none': 'inga',
+    'path.top': 'bästa {count}',
+    'path.noPath': 'Ingen kedja av kompatibla verktyg förbinder de två.',
+    'path.shortest': 'Kortast',
+    'path.alternative': 'Alternativ {number}',
+    'path.hops': { one: '{count} steg', other: '{count} steg' },
+
+    'compare.title': 'Jämför företag',
+    'compare.hint': 'Välj två eller fler, här eller genom att klicka på företagsnoder.',
+    'compare.similarity': 'Likhet (Jaccard): {value}',
+    'compare.pairShared': '{count} gemensamma',
+    'compare.usedByAll': 'Används av alla ({count})',
+    'compare.usedBySome': 'Används av några ({count})',
+    'compare.only': 'Bara {name} ({count})',
+    'compare.none': 'Inga',
+
+    'details.close': 'Stäng',
+    'details.edit': 'Redigera',
+    'details.interoperable': 'Kompatibel med ({count})',
+    'details.unresolved': 'Finns inte i datan: {names}',
+    'details.stack': 'Verktyg ({count})',
+    'details.noTools': 'Inga verktyg angivna',
+    'details.usedBy': 'Används av ({count})',
+    'fields.Description': 'Beskrivning',
+    'fields.Website': 'Webbplats',
+    'fields.Kommentar': 'Kommentar',
+
+    'recommendations.title': 'Föreslagna verktyg för {name}',
+    'recommendations.highlight': 'Markera i grafen',
+    'recommendations.peers': 'Mest lika verktygslådor: {names}',
+    'recommendations.empty': 'Inga förslag: verktygslådan är tom eller täcker redan sitt grannskap.',
+    'recommendations.scoreTitle': 'Passform {fit} %, liknande företag {peers} %',
+    'recommendations.worksWith': 'Fungerar med {names}',
+    'recommendations.usedBy': 'Används av {count} av {total} liknande företag: {names}',
+
+    'node.hopsFromSelection': { one: '{count} steg från valet', other: '{count} steg från valet' },
+    'node.suggested': 'Föreslaget verktyg nr {rank}',
+
+    'editor.addTitle': 'Ny post',
+    'editor.editTitle': 'Redigera {name}',
+    'editor.name': 'Namn',
+    'editor.type': 'Typ',
+    'editor.newType': 'Ny typ…',
+    'editor.newTypeName': 'Namn på den nya typen',
+    'editor.description': 'Beskrivning',
+    'editor.descriptionEn': 'Beskrivning på engelska (valfri)',
+    'editor.website': 'Webbplats',
+    'editor.interoperability': 'Kompatibel med',
+    'editor.designtechs': 'Designtechs (använda verktyg)',
+    'editor.addReference': 'lägg till…',
+    'editor.removeReference': 'Ta bort',
+    'editor.nameRequired': 'Namn måste anges',
+    'editor.nameTaken': 'Det finns redan en post som heter "{name}"',
+    'editor.typeRequired': 'Typ måste anges',
+    'editor.save': 'Spara',
+    'editor.cancel': 'Avbryt',
+    'editor.delete': 'Ta bort',
+    'editor.deleteConfirm': 'Ta bort "{name}" och alla hänvisningar till den?',
+  },
+};
+
+/**
+ * Look up a UI string and fill in its parameters.
+ *
+ * @param {string} language - one of LANGUAGES values
+ * @param {string} key
+ * @param {object} [params] - values for `{name}` placeholders; `count` also picks the plural form
+ * @returns {string} the English text when the language has no entry, else the key itself
+ */
+export function translate(language, key, params = {}) {
+  let message = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  if (typeof message === 'object') message = params.count === 1 ? message.one : message.other;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Display name of a node type. Unknown types are shown as they are.
+ *
+ * @param {string} language
+ * @param {string} type - `Type` value from the dataset
+ * @returns {string}
+ */
+export function translateType(language, type) {
+  return TYPE_NAMES[type]?.[language] ?? type;
+}
+
+/**
+ * Text of a translatable field, e.g. `Description`: the `<field>_<language>`
+ * value when it is filled in, else the field itself.
+ *
+ * @param {object} record - dataset row or node data
+ * @param {string} field
+ * @param {string} language
+ * @returns {*}
+ */
+export function localizedField(record, field, language) {
+  const translated = record?.[`${field}_${language}`];
+  return translated !== undefined && translated !== null && String(translated).trim() !== ''
+    ? translated
+    : record?.[field];
+}
+
+/**
+ * The `<field>_<language>` translations present on a row, copied under
+ * `<key>_<language>`; used to carry them over into node data.
+ *
+ * @param {object} row
+ * @param {string} field - column name, e.g. 'Description'
+ * @param {string} [key=field] - name to store them under
+ * @returns {object}
+ */
+export function translationsOf(row, field, key = field) {
+  return Object.fromEntries(LANGUAGES
+    .filter(({ value }) => row[`${field}_${value}`])
+    .map(({ value }) => [`${key}_${value}`, row[`${field}_${value}`]]));
+}
+
+/**
+ * True for columns holding a translation (`Description_en`, ...), which are
+ * shown in place of their field rather than on their own.
+ *
+ * @param {string} column
+ * @returns {boolean}
+ */
+export function isTranslationColumn(column) {
+  return LANGUAGES.some(({ value }) => column.endsWith(`_${value}`));
+}
+
+/**
+ * The language to start in: the last one picked in this browser, else the
+ * browser language when it is supported, else English.
+ *
+ * @returns {string}
+ */
+export function initialLanguage() {
+  const supported = LANGUAGES.map(l => l.value);
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (supported.includes(stored)) return stored;
+  } catch {
+    // Storage may be unavailable, e.g. in private browsing
+  }
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return supported.includes(browser) ? browser : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Remember the picked language in this browser.
+ *
+ * @param {string} language
+ */
+export function storeLanguage(language) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch {
+    // Not being remembered is fine
+  }
+}
+
+/**
+ * Bundle the helpers above for one language, as handed down through I18nContext.
+ *
+ * @param {string} language
+ * @returns {{language:string,t:Function,typeName:Function,field:Function}}
+ */
+export function createI18n(language) {
+  return {
+    language,
+    t: (key, params) => translate(language, key, params),
+    typeName: (type) => translateType(language, type),
+    field: (record, name) => localizedField(record, name, language),
+  };
+}
+
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+/**
+ * The current language's helpers, for components below LayoutFlow.
+ *
+ * @returns {{language:string,t:Function,typeName:Function,field:Function}}
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
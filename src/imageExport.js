@@ -0,0 +1,309 @@
+/**
+ * imageExport.js
+ * Render the graph to images for reports and printed posters.
+ *
+ * PNG output rasterizes the ReactFlow viewport with html-to-image, so it looks
+ * exactly like the canvas. SVG output is drawn from node positions and sizes
+ * instead, which gives true vector shapes and text that print sharply at any
+ * size. Both share the same page layout: optional title on top, graph, and an
+ * optional type-color legend to the right.
+ */
+
+import { getBezierPath } from '@xyflow/react';
+import { toCanvas } from 'html-to-image';
+import { getEdgeParams } from './utils.js';
+
+const PADDING = 40;
+const TITLE_HEIGHT = 56;
+const LEGEND_WIDTH = 240;
+const LEGEND_ROW = 22;
+const FONT_FAMILY = 'system-ui, Avenir, Helvetica, Arial, sans-serif';
+
+// Largest canvas side (px) that current browsers reliably render
+const MAX_CANVAS_SIZE = 16384;
+
+// Matches the screen DPI that CSS pixels are defined against
+export const CSS_DPI = 96;
+
+/**
+ * Bounding box of the visible nodes in flow coordinates.
+ *
+ * @param {Array} nodes - ReactFlow nodes (with `measured` sizes)
+ * @returns {{x:number,y:number,width:number,height:number}}
+ */
+export function getVisibleBounds(nodes) {
+  const visible = nodes.filter(n => !n.hidden);
+  if (visible.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+  const xs = visible.flatMap(n => [n.position.x, n.position.x + (n.measured?.width ?? 0)]);
+  const ys = visible.flatMap(n => [n.position.y, n.position.y + (n.measured?.height ?? 0)]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Legend entries for the types of the visible nodes, colored from the type
+ * color map (see generateColorMap in initialElements.js).
+ *
+ * @param {Array} nodes
+ * @param {Object<string,string>} colorMap - type -> color
+ * @returns {Array<{type:string,color:string}>}
+ */
+export function buildLegend(nodes, colorMap) {
+  const types = [...new Set(nodes.filter(n => !n.hidden).map(n => n.data.type))]
+    .filter(type => colorMap[type])
+    .sort((a, b) => a.localeCompare(b));
+  return types.map(type => ({ type, color: colorMap[type] }));
+}
+
+/**
+ * Page layout in CSS pixels shared by the PNG and SVG renderers.
+ *
+ * @param {{width:number,height:number}} bounds - graph size
+ * @param {object} options
+ * @param {string} [options.title]
+ * @param {Array} [options.legend] - from buildLegend, empty for no legend
+ * @returns {{width:number,height:number,graph:{x:number,y:number},title:{x:number,y:number},legend:{x:number,y:number}}}
+ */
+export function exportLayout(bounds, { title, legend = [] }) {
+  const titleHeight = title ? TITLE_HEIGHT : 0;
+  const legendWidth = legend.length ? LEGEND_WIDTH : 0;
+  const legendHeight = legend.length * LEGEND_ROW;
+
+  return {
+    width: bounds.width + PADDING * 2 + legendWidth,
+    height: Math.max(bounds.height, legendHeight) + PADDING * 2 + titleHeight,
+    title: { x: PADDING, y: PADDING + 28 },
+    graph: { x: PADDING, y: PADDING + titleHeight },
+    legend: { x: PADDING * 2 + bounds.width, y: PADDING + titleHeight },
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Same size scaling as CustomNode
+const nodeScale = (node) => Math.log(10 * (node.data.size || 1));
+
+// Arrowhead of directed edges, as drawn by FloatingEdge
+const markerElement = (id, color) =>
+  `<marker id="${id}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="10" markerHeight="10" markerUnits="userSpaceOnUse" orient="auto-start-reverse">`
+  + `<path d="M 0 0 L 10 5 L 0 10 z" fill="${escapeXml(color)}"/></marker>`;
+
+/**
+ * Render the visible graph as a standalone SVG document. Edges are drawn the
+ * way FloatingEdge draws them: curves between the node borders with the same
+ * stroke, width, dashing and arrowheads.
+ *
+ * @param {Array} nodes - ReactFlow nodes with positions, measured sizes and data
+ * @param {Array} edges - ReactFlow edges
+ * @param {object} options
+ * @param {string} [options.title]
+ * @param {Array} [options.legend] - from buildLegend
+ * @returns {string}
+ */
+export function renderGraphSvg(nodes, edges, { title, legend = [] }) {
+  const bounds = getVisibleBounds(nodes);
+  const layout = exportLayout(bounds, { title, legend });
+  const visible = nodes.filter(n => !n.hidden);
+  const byId = new Map(visible.map(n => [n.id, n]));
+
+  // Flow coordinates -> page coordinates
+  const px = (x) => x - bounds.x + layout.graph.x;
+  const py = (y) => y - bounds.y + layout.graph.y;
+  // Page-coordinate stand-ins for the internal nodes getEdgeParams expects
+  const edgeEnd = (n) => ({
+    measured: { width: n.measured?.width ?? 80, height: n.measured?.height ?? 24 },
+    internals: { positionAbsolute: { x: px(n.position.x), y: py(n.position.y) } },
+  });
+
+  const markers = new Map(); // stroke color -> marker id
+  const markerUrl = (color) => {
+    if (!markers.has(color)) markers.set(color, `arrow-${markers.size}`);
+    return `url(#${markers.get(color)})`;
+  };
+
+  const edgeElements = edges
+    .filter(e => !e.hidden && byId.has(e.source) && byId.has(e.target))
+    .map(e => {
+      const data = e.data ?? {};
+      const { sx, sy, tx, ty, sourcePos, targetPos } = getEdgeParams(edgeEnd(byId.get(e.source)), edgeEnd(byId.get(e.target)));
+      const [path, labelX, labelY] = getBezierPath({
+        sourceX: sx,
+        sourceY: sy,
+        sourcePosition: sourcePos,
+        targetPosition: targetPos,
+        targetX: tx,
+        targetY: ty,
+      });
+      const stroke = data.stroke ?? byId.get(e.source).data.color ?? '#222';
+      const opacity = data.opacity ?? 1;
+      const attributes = [
+        `d="${path}"`,
+        'fill="none"',
+        `stroke="${escapeXml(stroke)}"`,
+        `stroke-width="${data.strokeWidth ?? 1}"`,
+        `opacity="${opacity}"`,
+        data.dashed ? 'stroke-dasharray="6 4"' : '',
+        data.direction === 'reverse' || data.direction === 'mutual' ? `marker-start="${markerUrl(stroke)}"` : '',
+        data.direction === 'forward' || data.direction === 'mutual' ? `marker-end="${markerUrl(stroke)}"` : '',
+      ].filter(Boolean);
+      const line = `<path ${attributes.join(' ')}/>`;
+      if (!data.label) return line;
+      return `${line}<text x="${labelX}" y="${labelY}" font-size="10" text-anchor="middle" dominant-baseline="central" fill="#213547" fill-opacity="${opacity}">${escapeXml(data.label)}</text>`;
+    });
+
+  const nodeElements = visible.map(n => {
+    const width = n.measured?.width ?? 80;
+    const height = n.measured?.height ?? 24;
+    const isCompany = n.data.type?.toLowerCase() === 'company';
+    const opacity = n.data.opacity ?? 1;
+    return [
+      `<g opacity="${opacity}">`,
+      `<rect x="${px(n.position.x)}" y="${py(n.position.y)}" width="${width}" height="${height}" rx="6" fill="${escapeXml(n.data.color || '#ccc')}" stroke="#aaa"/>`,
+      `<text x="${px(n.position.x) + width / 2}" y="${py(n.position.y) + height / 2}" font-size="${10 + nodeScale(n) * 2}" text-anchor="middle" dominant-baseline="central" fill="${isCompany ? '#ffffff' : '#213547'}" font-weight="${isCompany ? 'bold' : 'normal'}">${escapeXml(n.data.label)}</text>`,
+      '</g>',
+    ].join('');
+  });
+
+  const titleElement = title
+    ? `<text x="${layout.title.x}" y="${layout.title.y}" font-size="28" font-weight="bold" fill="#213547">${escapeXml(title)}</text>`
+    : '';
+
+  const legendElements = legend.map(({ type, color }, i) => {
+    const y = layout.legend.y + i * LEGEND_ROW;
+    return `<rect x="${layout.legend.x}" y="${y}" width="14" height="14" rx="3" fill="${escapeXml(color)}" stroke="#aaa"/>`
+      + `<text x="${layout.legend.x + 22}" y="${y + 11}" font-size="13" fill="#213547">${escapeXml(type)}</text>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}" font-family="${FONT_FAMILY}">`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    `<defs>${[...markers].map(([color, id]) => markerElement(id, color)).join('')}</defs>`,
+    titleElement,
+    `<g>${edgeElements.join('')}</g>`,
+    `<g>${nodeElements.join('')}</g>`,
+    `<g>${legendElements.join('')}</g>`,
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+// UI chrome that must not end up in an exported image
+const EXCLUDED_CLASSES = [
+  'react-flow__panel',
+  'react-flow__minimap',
+  'react-flow__controls',
+  'react-flow__node-toolbar',
+  'react-flow__background',
+];
+
+/**
+ * Rasterize the ReactFlow viewport element and compose it with title and
+ * legend into a PNG.
+ *
+ * @param {HTMLElement} viewportElement - the `.react-flow__viewport` element
+ * @param {Array} nodes - ReactFlow nodes, used for the bounds of the capture
+ * @param {object} options
+ * @param {string} [options.title]
+ * @param {Array} [options.legend] - from buildLegend
+ * @param {number} [options.dpi] - output resolution; 96 is one pixel per CSS pixel.
+ *   Lowered if needed to stay within the canvas size browsers support
+ * @returns {Promise<string>} PNG data URL, tagged with the resolution used
+ */
+export async function renderGraphPng(viewportElement, nodes, { title, legend = [], dpi = CSS_DPI }) {
+  const bounds = getVisibleBounds(nodes);
+  const layout = exportLayout(bounds, { title, legend });
+  const pixelRatio = Math.min(dpi / CSS_DPI, MAX_CANVAS_SIZE / Math.max(layout.width, layout.height));
+
+  const graphCanvas = await toCanvas(viewportElement, {
+    width: bounds.width,
+    height: bounds.height,
+    pixelRatio,
+    style: {
+      width: `${bounds.width}px`,
+      height: `${bounds.height}px`,
+      transform: `translate(${-bounds.x}px, ${-bounds.y}px) scale(1)`,
+    },
+    filter: (node) => !EXCLUDED_CLASSES.some(c => node.classList?.contains(c)),
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(layout.width * pixelRatio);
+  canvas.height = Math.round(layout.height * pixelRatio);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(pixelRatio, pixelRatio);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, layout.width, layout.height);
+  ctx.drawImage(graphCanvas, layout.graph.x, layout.graph.y, bounds.width, bounds.height);
+
+  ctx.fillStyle = '#213547';
+  if (title) {
+    ctx.font = `bold 28px ${FONT_FAMILY}`;
+    ctx.fillText(title, layout.title.x, layout.title.y);
+  }
+
+  ctx.font = `13px ${FONT_FAMILY}`;
+  legend.forEach(({ type, color }, i) => {
+    const y = layout.legend.y + i * LEGEND_ROW;
+    ctx.fillStyle = color;
+    ctx.fillRect(layout.legend.x, y, 14, 14);
+    ctx.strokeStyle = '#aaa';
+    ctx.strokeRect(layout.legend.x, y, 14, 14);
+    ctx.fillStyle = '#213547';
+    ctx.fillText(type, layout.legend.x + 22, y + 11);
+  });
+
+  return setPngDpi(canvas.toDataURL('image/png'), pixelRatio * CSS_DPI);
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Store the print resolution in a PNG (pHYs chunk) so that layout and print
+ * software place it at the intended physical size.
+ *
+ * @param {string} dataUrl - PNG data URL as produced by canvas.toDataURL
+ * @param {number} dpi
+ * @returns {string} PNG data URL with the pHYs chunk inserted after IHDR
+ */
+export function setPngDpi(dataUrl, dpi) {
+  const binary = atob(dataUrl.split(',')[1]);
+  const png = Uint8Array.from(binary, c => c.charCodeAt(0));
+
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // unit: meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // 8 byte signature + IHDR (4 length + 4 type + 13 data + 4 crc)
+  const ihdrEnd = 8 + 25;
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, ihdrEnd), 0);
+  result.set(chunk, ihdrEnd);
+  result.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+
+  let encoded = '';
+  result.forEach(byte => { encoded += String.fromCharCode(byte); });
+  return `data:image/png;base64,${btoa(encoded)}`;
+}
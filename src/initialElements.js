@@ -1,5 +1,8 @@
 import rawData from './data.json';
-import { arrangeNodes } from './utils';
+import defaultAliases from './aliases.json';
+import { arrangeNodes, buildCompanyEdges } from './utils';
+import { createNameResolver, isCompanyType, isFileFormatType } from './dataset.js';
+import { translationsOf } from './i18n.js';
 
 const colorPalette = [
   '#7AC8A4', // grön
@@ -15,17 +18,29 @@ const colorPalette = [
   '#FFB6C1', // ljusrosa
 ];
 
-function generateColorMap(data) {
+/**
+ * Assign a color to every `Type` in the dataset. Companies always get the same
+ * dark blue and file formats the same light brown; other types take palette
+ * colors in order of first appearance.
+ *
+ * @param {Array} data - dataset rows
+ * @returns {Object<string,string>} type -> color
+ */
+export function generateColorMap(data) {
   const types = [...new Set(data.map(item => item.Type))];
   const colorMap = {};
   
   // Always set company type to a distinctive dark blue
   const COMPANY_COLOR = '#1E40AF';  // distinctive dark blue
+  // File formats stay out of the palette, so the other types keep their colors
+  const FORMAT_COLOR = '#BCAAA4';   // light brown
   
   let colorIndex = 0;
   types.forEach((type) => {
-    if (type.toLowerCase() === 'company') {
+    if (isCompanyType(type)) {
       colorMap[type] = COMPANY_COLOR;
+    } else if (isFileFormatType(type)) {
+      colorMap[type] = FORMAT_COLOR;
     } else {
       // For non-company types, use the color palette
       if (colorIndex < colorPalette.length) {
@@ -42,58 +57,53 @@ function generateColorMap(data) {
   return colorMap;
 }
 
-export function initialElements() {
-  const filteredData = rawData.filter(item => item.Type.toLowerCase() !== 'filformat');
-  const colorMap = generateColorMap(filteredData);
+/**
+ * Build the initial nodes (positioned in a circle) and company edges for a
+ * dataset. Defaults to the bundled data.json; a dataset loaded at runtime
+ * from a file is passed in instead.
+ *
+ * @param {Array} data - dataset rows
+ * @param {Object<string,string>} aliases - alias -> canonical name
+ * @returns {{nodes:Array,edges:Array}}
+ */
+export function initialElements(data = rawData, aliases = defaultAliases) {
+  // File formats are nodes too; they are only shown in the 'formats' edge mode
+  const colorMap = generateColorMap(data);
+  const resolver = createNameResolver(data.map(item => item.Name), aliases);
 
-  const nodes = filteredData.map(item => ({
-    id: item.Name,
-    type: 'custom',
-    data: {
-      label: item.Name,
-      type: item.Type,
-      description: item.Description,
-      website: item.Website,
-      designtechs: item.Designtechs || [],
-      color: colorMap[item.Type] || '#ccc'
-    }
-  }));
+  // Node ids are canonical names; rows resolving to an existing id are skipped
+  const seenIds = new Set();
+  const nodes = [];
+  data.forEach(item => {
+    const id = resolver.resolve(item.Name) ?? item.Name;
+    if (seenIds.has(id)) return;
+    seenIds.add(id);
+    nodes.push({
+      id,
+      type: 'custom',
+      data: {
+        label: item.Name,
+        type: item.Type ?? '',
+        description: item.Description,
+        ...translationsOf(item, 'Description', 'description'),
+        website: item.Website,
+        designtechs: item.Designtechs || [],
+        color: colorMap[item.Type] || '#ccc'
+      }
+    });
+  });
 
   // 🎯 Använd arrangeNodes för att sätta positioner i en cirkel baserat på namn
   const width = window.innerWidth;
   const height = window.innerHeight;
   const positionedNodes = arrangeNodes(nodes, width, height); // default sort by 'Name'
 
-  // 💡 Fortsätt här med kanter och storlekar som tidigare...
-  const nodeIds = new Set(positionedNodes.map(n => n.id));
-  const edges = [];
-
   // Create edges from companies to their design technologies
-  positionedNodes.forEach(node => {
-    if (node.data.type.toLowerCase() === 'company' && node.data.designtechs) {
-      node.data.designtechs.forEach(tech => {
-        if (nodeIds.has(tech)) {
-          const edgeId = `e-${node.id}-${tech}`;
-          edges.push({
-            id: edgeId,
-            source: node.id,
-            target: tech,
-            type: 'floating'
-          });
-        }
-      });
-    }
-  });
-
-  const connectionCount = {};
-  edges.forEach(edge => {
-    connectionCount[edge.source] = (connectionCount[edge.source] || 0) + 1;
-    connectionCount[edge.target] = (connectionCount[edge.target] || 0) + 1;
-  });
+  const { edges, connectionCount } = buildCompanyEdges(positionedNodes, data, resolver);
 
   positionedNodes.forEach(node => {
     node.data.size = connectionCount[node.id] || 1;
   });
 
   return { nodes: positionedNodes, edges };
-}
\ No newline at end of file
+}
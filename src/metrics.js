@@ -0,0 +1,167 @@
+/**
+ * metrics.js
+ * Network metrics for the graph of the active edge mode: degree, weighted
+ * degree, betweenness, closeness, PageRank and clustering coefficient.
+ *
+ * Edges are treated as undirected. Weighted degree and PageRank use
+ * `edge.data.weight` where the edge mode provides one (similarity,
+ * co-adoption) and 1 otherwise; the path-based measures count hops.
+ */
+
+// Metrics offered in the UI, in display order; names are in i18n.js under metrics.<value>
+export const METRICS = [
+  { value: 'degree', digits: 0 },
+  { value: 'weightedDegree', digits: 2 },
+  { value: 'betweenness', digits: 3 },
+  { value: 'closeness', digits: 3 },
+  { value: 'pagerank', digits: 4 },
+  { value: 'clustering', digits: 3 },
+];
+
+/**
+ * Build weighted adjacency from visible edges between the given nodes.
+ * Shared with communities.js.
+ *
+ * @param {string[]} ids
+ * @param {Array} edges
+ * @returns {Map<string,Map<string,number>>} node id -> neighbor id -> summed weight
+ */
+export function buildWeightedAdjacency(ids, edges) {
+  const adjacency = new Map(ids.map(id => [id, new Map()]));
+  edges.forEach(edge => {
+    const { source, target } = edge;
+    if (edge.hidden || source === target || !adjacency.has(source) || !adjacency.has(target)) return;
+    const weight = edge.data?.weight ?? 1;
+    adjacency.get(source).set(target, (adjacency.get(source).get(target) || 0) + weight);
+    adjacency.get(target).set(source, (adjacency.get(target).get(source) || 0) + weight);
+  });
+  return adjacency;
+}
+
+/**
+ * Betweenness centrality (Brandes), normalized to 0..1 for undirected graphs.
+ * Closeness is computed from the same breadth-first searches, using the
+ * Wasserman–Faust variant so that nodes in small components are not
+ * rated as central.
+ */
+function pathMetrics(ids, adjacency) {
+  const n = ids.length;
+  const betweenness = new Map(ids.map(id => [id, 0]));
+  const closeness = new Map();
+
+  ids.forEach(source => {
+    const stack = [];
+    const predecessors = new Map(ids.map(id => [id, []]));
+    const sigma = new Map([[source, 1]]);
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      adjacency.get(v).forEach((_, w) => {
+        if (!distance.has(w)) {
+          distance.set(w, distance.get(v) + 1);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          sigma.set(w, (sigma.get(w) || 0) + sigma.get(v));
+          predecessors.get(w).push(v);
+        }
+      });
+    }
+
+    const delta = new Map();
+    while (stack.length) {
+      const w = stack.pop();
+      predecessors.get(w).forEach(v => {
+        delta.set(v, (delta.get(v) || 0) + (sigma.get(v) / sigma.get(w)) * (1 + (delta.get(w) || 0)));
+      });
+      if (w !== source) betweenness.set(w, betweenness.get(w) + (delta.get(w) || 0));
+    }
+
+    const reached = distance.size - 1;
+    let total = 0;
+    distance.forEach(d => { total += d; });
+    closeness.set(source, total > 0 && n > 1 ? (reached / total) * (reached / (n - 1)) : 0);
+  });
+
+  // Each pair was counted from both ends
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  betweenness.forEach((value, id) => betweenness.set(id, value * scale));
+
+  return { betweenness, closeness };
+}
+
+/**
+ * Weighted PageRank by power iteration. Rank of nodes without edges is
+ * spread evenly over all nodes.
+ */
+function pageRank(ids, adjacency, { damping = 0.85, iterations = 100, tolerance = 1e-8 } = {}) {
+  const n = ids.length;
+  if (!n) return new Map();
+  const strength = new Map(ids.map(id => [id, [...adjacency.get(id).values()].reduce((a, b) => a + b, 0)]));
+  let rank = new Map(ids.map(id => [id, 1 / n]));
+
+  for (let i = 0; i < iterations; i++) {
+    let dangling = 0;
+    ids.forEach(id => { if (!strength.get(id)) dangling += rank.get(id); });
+
+    const next = new Map(ids.map(id => [id, (1 - damping) / n + (damping * dangling) / n]));
+    ids.forEach(id => {
+      const total = strength.get(id);
+      if (!total) return;
+      adjacency.get(id).forEach((weight, neighbor) => {
+        next.set(neighbor, next.get(neighbor) + (damping * rank.get(id) * weight) / total);
+      });
+    });
+
+    let change = 0;
+    ids.forEach(id => { change += Math.abs(next.get(id) - rank.get(id)); });
+    rank = next;
+    if (change < tolerance) break;
+  }
+  return rank;
+}
+
+/**
+ * Local clustering coefficient: the share of a node's neighbor pairs that are
+ * connected themselves.
+ */
+function clustering(ids, adjacency) {
+  return new Map(ids.map(id => {
+    const neighbors = [...adjacency.get(id).keys()];
+    const k = neighbors.length;
+    if (k < 2) return [id, 0];
+    let links = 0;
+    neighbors.forEach((a, i) => {
+      neighbors.slice(i + 1).forEach(b => {
+        if (adjacency.get(a).has(b)) links++;
+      });
+    });
+    return [id, (2 * links) / (k * (k - 1))];
+  }));
+}
+
+/**
+ * Compute all METRICS for the visible part of the graph.
+ *
+ * @param {string[]} ids - ids of the visible nodes
+ * @param {Array} edges - ReactFlow edges; hidden ones and those to other nodes are left out
+ * @returns {Map<string,Object<string,number>>} node id -> metric value -> value
+ */
+export function computeMetrics(ids, edges) {
+  const adjacency = buildWeightedAdjacency(ids, edges);
+  const { betweenness, closeness } = pathMetrics(ids, adjacency);
+  const rank = pageRank(ids, adjacency);
+  const coefficients = clustering(ids, adjacency);
+
+  return new Map(ids.map(id => [id, {
+    degree: adjacency.get(id).size,
+    weightedDegree: [...adjacency.get(id).values()].reduce((a, b) => a + b, 0),
+    betweenness: betweenness.get(id),
+    closeness: closeness.get(id),
+    pagerank: rank.get(id),
+    clustering: coefficients.get(id),
+  }]));
+}
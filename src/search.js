@@ -0,0 +1,82 @@
+/**
+ * search.js
+ * Fuzzy search over node labels, types and descriptions for the search panel.
+ *
+ * Labels and types match as a subsequence ("slbr" finds "Solibri"), scored so
+ * that prefixes, word starts and consecutive characters rank first.
+ * Descriptions are long enough that almost any subsequence occurs in them, so
+ * they only count when they contain the query as a substring. Types and
+ * descriptions are searched in the interface language.
+ */
+
+import { DEFAULT_LANGUAGE, localizedField, translateType } from './i18n.js';
+
+// Weights of the fields a hit can come from
+const FIELD_WEIGHTS = { label: 3, type: 1.5, description: 1 };
+
+const fold = (text) => String(text ?? '').toLocaleLowerCase();
+
+/**
+ * Score how well `query` matches `text` as a subsequence.
+ *
+ * @param {string} query - lowercased query
+ * @param {string} text
+ * @returns {number} 0 when the characters of the query do not all occur in order, else > 0
+ */
+export function fuzzyScore(query, text) {
+  const target = fold(text);
+  if (!query || !target) return 0;
+
+  const index = target.indexOf(query);
+  if (index === 0) return 100 + query.length / target.length;
+  if (index > 0) return (/[\s\-_./(]/.test(target[index - 1]) ? 80 : 60) + query.length / target.length;
+
+  let score = 0;
+  let position = -1;
+  let run = 0;
+  for (const char of query) {
+    const next = target.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    run = next === position + 1 ? run + 1 : 0;
+    const wordStart = next === 0 || /[\s\-_./(]/.test(target[next - 1]);
+    score += 1 + run * 2 + (wordStart ? 3 : 0) - Math.min(next - position - 1, 5) * 0.2;
+    position = next;
+  }
+  // Keep subsequence hits below every substring hit
+  return Math.max(1, Math.min(score, 50));
+}
+
+/**
+ * Find the nodes matching a query, best first.
+ *
+ * @param {Array} nodes - ReactFlow nodes; hidden nodes are skipped
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - maximum number of hits
+ * @param {string} [options.language] - interface language, see i18n.js
+ * @returns {Array<{node:object,score:number,field:string}>} field is the best matching field
+ */
+export function searchNodes(nodes, query, { limit = 10, language = DEFAULT_LANGUAGE } = {}) {
+  const folded = fold(query).trim();
+  if (!folded) return [];
+
+  const hits = [];
+  nodes.forEach(node => {
+    if (node.hidden) return;
+    const { label, type } = node.data;
+    const descriptionIndex = fold(localizedField(node.data, 'description', language)).indexOf(folded);
+    const scores = {
+      label: fuzzyScore(folded, label ?? node.id),
+      type: fuzzyScore(folded, translateType(language, type)),
+      description: descriptionIndex === -1 ? 0 : 40,
+    };
+    const [field, score] = Object.entries(scores)
+      .map(([key, value]) => [key, value * FIELD_WEIGHTS[key]])
+      .reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    if (score > 0) hits.push({ node, score, field });
+  });
+
+  return hits
+    .sort((a, b) => b.score - a.score || String(a.node.data.label).localeCompare(String(b.node.data.label)))
+    .slice(0, limit);
+}
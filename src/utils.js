@@ -1,4 +1,11 @@
 import { Position, MarkerType } from '@xyflow/react';
+import {
+  createNameResolver,
+  getDesigntechs,
+  getInteroperability,
+  isCompanyType,
+  isFileFormatType,
+} from './dataset.js';
 
 /**
  * utils.js
@@ -9,7 +16,9 @@ import { Position, MarkerType } from '@xyflow/react';
  * - Determining which side of a node an edge should attach to
  * - Generating initial demo elements
  * - Arranging nodes in circular or vertical layouts
- * - Building edges from the provided raw dataset (company -> tech, tech -> tech)
+ * - Building edges from the provided raw dataset (company -> tech, tech -> tech,
+ *   tech -> file format)
+ * - Downloading generated files
  * - Creating simple user nodes
  */
 
@@ -262,6 +271,78 @@ export function arrangeNodesVertically(nodes, width, height) {
 // Edge builders from dataset
 // -----------------------------------------------------------------------------
 
+// Edge modes offered in the UI, in display order; names are in i18n.js under edgeModes.<value>
+export const EDGE_MODES = [
+  { value: 'company' },
+  { value: 'interoperability' },
+  { value: 'formats' },
+  { value: 'combined' },
+  { value: 'similarity' },
+  { value: 'coadoption' },
+  { value: 'compare' },
+  { value: 'path' },
+];
+
+// Overlap measures for the 'similarity' edge mode, with their threshold slider ranges
+// (names under similarityMetrics.<value>)
+export const SIMILARITY_METRICS = [
+  { value: 'jaccard', min: 0.05, max: 1, step: 0.05, defaultThreshold: 0.3 },
+  { value: 'shared', min: 1, max: 20, step: 1, defaultThreshold: 3 },
+];
+
+// Co-adoption edges, colored by whether the pair is also declared interoperable
+export const COADOPTION_COLORS = { declared: '#9CA3AF', undeclared: '#DC2626' };
+
+// Highlight colors of the 'compare' edge mode: tools used by all compared
+// companies, by some of them, and one color per company for its unique tools
+export const COMPARE_COLORS = {
+  shared: '#16A34A',
+  partial: '#F59E0B',
+  companies: ['#2563EB', '#DC2626', '#9333EA', '#0891B2', '#DB2777', '#65A30D', '#EA580C', '#4B5563'],
+};
+
+// Outline of the tools suggested for the selected company
+export const RECOMMENDATION_COLOR = '#16A34A';
+
+// Edge sets drawn together in 'combined' mode, and how each is styled (names under edgeLayers.<value>)
+export const EDGE_LAYERS = [
+  { value: 'company', stroke: '#1E40AF' },
+  { value: 'interoperability', stroke: '#E67E22', dashed: true },
+];
+
+/**
+ * Whether a node takes part in the given edge mode. File formats are only
+ * shown as nodes in 'formats' mode (elsewhere they are collapsed into edge
+ * labels), companies have no place in the formats, path or co-adoption
+ * views, and the similarity view shows companies only.
+ *
+ * @param {object} node
+ * @param {string} mode - one of EDGE_MODES values
+ * @returns {boolean}
+ */
+export function isNodeInEdgeMode(node, mode) {
+  const type = node.data?.type;
+  if (mode === 'similarity') return isCompanyType(type);
+  if (isFileFormatType(type)) return mode === 'formats';
+  if (isCompanyType(type)) return !['formats', 'path', 'coadoption'].includes(mode);
+  return true;
+}
+
+/**
+ * Count connections per node (helps scale node sizes or labels).
+ *
+ * @param {Array} edges
+ * @returns {Object<string,number>}
+ */
+function countConnections(edges) {
+  const connectionCount = {};
+  edges.forEach(edge => {
+    connectionCount[edge.source] = (connectionCount[edge.source] || 0) + 1;
+    connectionCount[edge.target] = (connectionCount[edge.target] || 0) + 1;
+  });
+  return connectionCount;
+}
+
 /**
  * Build edges connecting company nodes to design technology nodes using the
  * provided rawData. This function accepts nodes that already have positions
@@ -270,11 +351,15 @@ export function arrangeNodesVertically(nodes, width, height) {
  * Returns an object with `edges` array and `connectionCount` map used to
  * compute node sizes or strengths in the UI.
  *
+ * Tech names are matched through `resolver` (see createNameResolver in
+ * dataset.js), so "Civil 3D" still connects to the "Civil3D" node.
+ *
  * @param {Array} positionedNodes - nodes with id and data
  * @param {Array} rawData - dataset containing Name, Designtechs, Interoperability etc.
+ * @param {object} [resolver] - name resolver; defaults to matching node ids loosely
  * @returns {{edges:Array,connectionCount:Object}}
  */
-export function buildCompanyEdges(positionedNodes, rawData) {
+export function buildCompanyEdges(positionedNodes, rawData, resolver = createNameResolver(positionedNodes.map(n => n.id))) {
   const nodeIds = new Set(positionedNodes.map(n => n.id));
   const edges = [];
   const edgeSet = new Set();
@@ -282,9 +367,9 @@ export function buildCompanyEdges(positionedNodes, rawData) {
   // Build a map from company name -> designtechs (deduplicated)
   const designMap = new Map();
   rawData.forEach(item => {
-    if (item.Designtechs && item.Designtechs.length) {
-      const uniqueTechs = Array.from(new Set(item.Designtechs));
-      designMap.set(item.Name, uniqueTechs);
+    const techs = getDesigntechs(item);
+    if (techs.length) {
+      designMap.set(resolver.resolve(item.Name) ?? item.Name, Array.from(new Set(techs)));
     }
   });
 
@@ -294,111 +379,515 @@ export function buildCompanyEdges(positionedNodes, rawData) {
 
     // prefer explicit node.data.designtechs; otherwise fall back to raw data map
     const techs = node.data.designtechs && node.data.designtechs.length ? node.data.designtechs : (designMap.get(node.id) || []);
-    techs.forEach(tech => {
+    techs.forEach(name => {
+      const tech = resolver.resolve(name);
       if (nodeIds.has(tech) && tech !== node.id) {
         // Create a consistent undirected id so duplicate pairs map to same id
         const [id1, id2] = [node.id, tech].sort();
         const edgeId = `e-${id1}-${id2}`;
         // guard against duplicates
-        if (edgeSet.has(edgeId)) {
-          // Helpful debug during data import; safe to remove if noisy
-          console.log(`Skipping duplicate company edge: ${node.id} -> ${tech} (${edgeId})`);
-          return;
-        }
-        console.log(`Adding company edge: ${node.id} -> ${tech} (${edgeId})`);
+        if (edgeSet.has(edgeId)) return;
         edgeSet.add(edgeId);
         edges.push({ id: edgeId, source: node.id, target: tech, type: 'floating' });
       }
     });
   });
 
-  // Count connections per node (helps scale node sizes or labels)
-  const connectionCount = {};
-  edges.forEach(edge => {
-    connectionCount[edge.source] = (connectionCount[edge.source] || 0) + 1;
-    connectionCount[edge.target] = (connectionCount[edge.target] || 0) + 1;
-  });
-
-  return { edges, connectionCount };
+  return { edges, connectionCount: countConnections(edges) };
 }
 
 /**
  * Build edges between non-company nodes based on an `Interoperability` CSV
  * field in the raw dataset. Each cell may contain a comma-separated list of
- * interoperable tool IDs (names). The function deduplicates and filters
- * to only include nodes present in `positionedNodes`.
+ * interoperable tool IDs (names). Names are matched through `resolver`; the
+ * function deduplicates and filters to only include nodes present in
+ * `positionedNodes`. File format nodes are not connected here; instead each
+ * edge carries `data.formats`, the formats both tools read or write.
+ *
+ * A pair gets one edge, from the alphabetically first tool to the other.
+ * `data.direction` tells which side declares the link: 'forward' when only
+ * the source lists the target, 'reverse' when only the target lists the
+ * source, 'mutual' when both do.
  *
  * @param {Array} positionedNodes
  * @param {Array} rawData
+ * @param {object} [resolver] - name resolver; defaults to matching node ids loosely
  * @returns {{edges:Array,connectionCount:Object}}
  */
-export function buildInteroperabilityEdges(positionedNodes, rawData) {
+export function buildInteroperabilityEdges(positionedNodes, rawData, resolver = createNameResolver(positionedNodes.map(n => n.id))) {
   const nodeIds = new Set(positionedNodes.map(n => n.id));
   const edges = [];
   const edgeSet = new Set();
 
-  // Parse Interoperability CSV-like strings into arrays
+  // Parse Interoperability CSV-like strings into arrays of resolved names
   const interopMap = new Map();
   rawData.forEach(item => {
-    if (item.Interoperability) {
-      const list = item.Interoperability.split(',').map(s => s.trim()).filter(Boolean);
-      if (list.length) interopMap.set(item.Name, list);
-    }
+    const list = getInteroperability(item).map(name => resolver.resolve(name)).filter(Boolean);
+    if (list.length) interopMap.set(resolver.resolve(item.Name) ?? item.Name, list);
   });
+  const lists = (a, b) => (interopMap.get(a) || []).includes(b);
+
+  const formatIds = new Set(positionedNodes.filter(n => isFileFormatType(n.data.type)).map(n => n.id));
+  const toolFormats = buildToolFormatMap(positionedNodes, rawData, resolver);
 
   positionedNodes.forEach(node => {
     const isCompany = node.data.type && node.data.type.toLowerCase() === 'company';
-    if (isCompany) {
-      // Skip companies: interoperability edges are for tools/tech nodes
-      console.log(`Skipping company node in interop: ${node.id}`);
-      return;
-    }
+    if (isCompany) return; // Skip companies: interoperability edges are for tools/tech nodes
+    if (formatIds.has(node.id)) return; // formats become edge labels, not endpoints
 
     const interops = interopMap.get(node.id) || [];
     interops.forEach(target => {
       if (target === node.id) return; // ignore self-references
       if (!nodeIds.has(target)) return; // ignore references to unknown nodes
+      if (formatIds.has(target)) return;
 
       // Build an undirected unique id to prevent duplicates
       const [id1, id2] = [node.id, target].sort();
       const edgeId = `e-${id1}-${id2}`;
       if (edgeSet.has(edgeId)) return;
       edgeSet.add(edgeId);
-      edges.push({ id: edgeId, source: node.id, target, type: 'floating' });
+
+      const sourceFormats = toolFormats.get(node.id) || new Set();
+      const formats = [...(toolFormats.get(target) || [])].filter(f => sourceFormats.has(f)).sort();
+      const forward = lists(id1, id2);
+      const backward = lists(id2, id1);
+      const direction = forward && backward ? 'mutual' : forward ? 'forward' : 'reverse';
+      edges.push({ id: edgeId, source: id1, target: id2, type: 'floating', data: { formats, direction } });
     });
   });
 
-  const connectionCount = {};
+  return { edges, connectionCount: countConnections(edges) };
+}
+
+/**
+ * One-sided interoperability claims, for checking with the vendors whether
+ * the link really goes both ways.
+ *
+ * @param {Array} edges - output of buildInteroperabilityEdges
+ * @returns {Array<{from:string,to:string}>} pairs where `from` lists `to` but
+ *   not the other way round, sorted by `from`, then `to`
+ */
+export function listAsymmetricInteroperability(edges) {
+  return edges
+    .filter(edge => edge.data?.direction === 'forward' || edge.data?.direction === 'reverse')
+    .map(edge => (edge.data.direction === 'forward'
+      ? { from: edge.source, to: edge.target }
+      : { from: edge.target, to: edge.source }))
+    .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+}
+
+/**
+ * Build company and interoperability edges together for the 'combined' edge
+ * mode. Each edge gets `data.kind` ('company' or 'interoperability', see
+ * EDGE_LAYERS) so the two sets can be styled and toggled separately.
+ *
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @returns {{edges:Array,connectionCount:Object}}
+ */
+export function buildCombinedEdges(positionedNodes, rawData, resolver = createNameResolver(positionedNodes.map(n => n.id))) {
+  const companyEdges = buildCompanyEdges(positionedNodes, rawData, resolver).edges
+    .map(edge => ({ ...edge, data: { ...edge.data, kind: 'company' } }));
+  const companyIds = new Set(companyEdges.map(edge => edge.id));
+  const interoperabilityEdges = buildInteroperabilityEdges(positionedNodes, rawData, resolver).edges
+    .filter(edge => !companyIds.has(edge.id))
+    .map(edge => ({ ...edge, data: { ...edge.data, kind: 'interoperability' } }));
+
+  const edges = [...companyEdges, ...interoperabilityEdges];
+  return { edges, connectionCount: countConnections(edges) };
+}
+
+/**
+ * Map each tool node to the file formats it reads or writes. A link is taken
+ * from either side of the data: a format listing the tool in its
+ * `Interoperability` cell, or a tool listing the format in its own.
+ *
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @returns {Map<string,Set<string>>} tool id -> format ids
+ */
+export function buildToolFormatMap(positionedNodes, rawData, resolver = createNameResolver(positionedNodes.map(n => n.id))) {
+  const typeById = new Map(positionedNodes.map(n => [n.id, n.data.type]));
+  const isFormat = id => typeById.has(id) && isFileFormatType(typeById.get(id));
+  const isTool = id => typeById.has(id) && !isFileFormatType(typeById.get(id)) && !isCompanyType(typeById.get(id));
+
+  const toolFormats = new Map();
+  const link = (tool, format) => {
+    if (!toolFormats.has(tool)) toolFormats.set(tool, new Set());
+    toolFormats.get(tool).add(format);
+  };
+
+  rawData.forEach(item => {
+    const id = resolver.resolve(item.Name);
+    getInteroperability(item).forEach(name => {
+      const other = resolver.resolve(name);
+      if (isFormat(id) && isTool(other)) link(other, id);
+      else if (isTool(id) && isFormat(other)) link(id, other);
+    });
+  });
+
+  return toolFormats;
+}
+
+/**
+ * Build edges between tools and the file formats they read or write, for the
+ * 'formats' edge mode. Two tools sharing a format are thereby connected
+ * through the format node.
+ *
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @returns {{edges:Array,connectionCount:Object}}
+ */
+export function buildFormatEdges(positionedNodes, rawData, resolver = createNameResolver(positionedNodes.map(n => n.id))) {
+  const edges = [];
+  buildToolFormatMap(positionedNodes, rawData, resolver).forEach((formats, tool) => {
+    formats.forEach(format => {
+      const [id1, id2] = [tool, format].sort();
+      edges.push({ id: `e-${id1}-${id2}`, source: tool, target: format, type: 'floating' });
+    });
+  });
+
+  return { edges, connectionCount: countConnections(edges) };
+}
+
+/**
+ * Map each company node to the set of tool nodes it uses (its `Designtechs`,
+ * resolved to node ids).
+ *
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @returns {Map<string,Set<string>>} company id -> tool ids
+ */
+export function buildCompanyStacks(positionedNodes, rawData, resolver = createNameResolver(positionedNodes.map(n => n.id))) {
+  const nodeIds = new Set(positionedNodes.map(n => n.id));
+  const companyIds = new Set(positionedNodes.filter(n => isCompanyType(n.data.type)).map(n => n.id));
+  const stacks = new Map();
+
+  rawData.forEach(item => {
+    const company = resolver.resolve(item.Name) ?? item.Name;
+    if (!companyIds.has(company)) return;
+    const tools = getDesigntechs(item)
+      .map(name => resolver.resolve(name))
+      .filter(tool => tool && tool !== company && nodeIds.has(tool));
+    stacks.set(company, new Set([...(stacks.get(company) || []), ...tools]));
+  });
+
+  return stacks;
+}
+
+/**
+ * Compare the tool stacks of two or more companies.
+ *
+ * @param {Map<string,Set<string>>} stacks - from buildCompanyStacks
+ * @param {string[]} companies - company ids to compare
+ * @returns {{shared:string[],partial:Array<{tool:string,companies:string[]}>,unique:Map<string,string[]>,similarity:number,pairs:Array<{a:string,b:string,similarity:number,shared:number}>}}
+ *   `shared` tools are used by every company, `partial` by more than one but
+ *   not all, `unique` by exactly one; `similarity` is the Jaccard index of all
+ *   stacks (shared / all tools) and `pairs` the pairwise Jaccard indices
+ */
+export function compareStacks(stacks, companies) {
+  const byName = (a, b) => a.localeCompare(b);
+  const users = new Map();
+  companies.forEach(company => {
+    (stacks.get(company) || new Set()).forEach(tool => {
+      if (!users.has(tool)) users.set(tool, []);
+      users.get(tool).push(company);
+    });
+  });
+
+  const shared = [];
+  const partial = [];
+  const unique = new Map(companies.map(company => [company, []]));
+  [...users.keys()].sort(byName).forEach(tool => {
+    const usedBy = users.get(tool);
+    if (usedBy.length === companies.length) shared.push(tool);
+    else if (usedBy.length > 1) partial.push({ tool, companies: usedBy });
+    else unique.get(usedBy[0]).push(tool);
+  });
+
+  const jaccard = (a, b) => {
+    const setA = stacks.get(a) || new Set();
+    const setB = stacks.get(b) || new Set();
+    const common = [...setA].filter(tool => setB.has(tool)).length;
+    const union = setA.size + setB.size - common;
+    return { similarity: union ? common / union : 0, shared: common };
+  };
+  const pairs = companies.flatMap((a, i) => companies.slice(i + 1).map(b => ({ a, b, ...jaccard(a, b) })));
+
+  return { shared, partial, unique, similarity: users.size ? shared.length / users.size : 0, pairs };
+}
+
+/**
+ * Suggest tools a company does not use yet. Each candidate is scored on two
+ * signals, weighted equally:
+ * - fit: the share of the company's current tools it is interoperable with
+ * - peers: how many of the most similar companies (by stack Jaccard) use it,
+ *   each peer counting by its similarity
+ *
+ * @param {string} company - company node id
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @param {object} [options]
+ * @param {number} [options.limit=10] - number of suggestions
+ * @param {number} [options.peerCount=5] - number of similar companies to learn from
+ * @returns {{peers:Array<{company:string,similarity:number}>,recommendations:Array<{tool:string,score:number,fit:number,peerScore:number,interoperates:string[],usedBy:string[]}>}}
+ *   `interoperates` are the company's tools the candidate works with, `usedBy`
+ *   the peers using it
+ */
+export function recommendTools(
+  company,
+  positionedNodes,
+  rawData,
+  resolver = createNameResolver(positionedNodes.map(n => n.id)),
+  { limit = 10, peerCount = 5 } = {}
+) {
+  const byName = (a, b) => a.localeCompare(b);
+  const stacks = buildCompanyStacks(positionedNodes, rawData, resolver);
+  const stack = stacks.get(company) || new Set();
+
+  const peers = [...stacks]
+    .filter(([other]) => other !== company)
+    .map(([other, tools]) => {
+      const common = [...tools].filter(tool => stack.has(tool)).length;
+      const union = tools.size + stack.size - common;
+      return { company: other, similarity: union ? common / union : 0 };
+    })
+    .filter(peer => peer.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity || byName(a.company, b.company))
+    .slice(0, peerCount);
+  const peerTotal = peers.reduce((sum, peer) => sum + peer.similarity, 0);
+
+  const interoperable = new Map();
+  buildInteroperabilityEdges(positionedNodes, rawData, resolver).edges.forEach(({ source, target }) => {
+    if (!interoperable.has(source)) interoperable.set(source, new Set());
+    if (!interoperable.has(target)) interoperable.set(target, new Set());
+    interoperable.get(source).add(target);
+    interoperable.get(target).add(source);
+  });
+
+  const recommendations = positionedNodes
+    .filter(node => !isCompanyType(node.data.type) && !isFileFormatType(node.data.type) && !stack.has(node.id))
+    .map(({ id: tool }) => {
+      const interoperates = [...stack].filter(own => interoperable.get(tool)?.has(own)).sort(byName);
+      const users = peers.filter(peer => stacks.get(peer.company).has(tool));
+      const fit = stack.size ? interoperates.length / stack.size : 0;
+      const peerScore = peerTotal ? users.reduce((sum, peer) => sum + peer.similarity, 0) / peerTotal : 0;
+      return {
+        tool,
+        score: (fit + peerScore) / 2,
+        fit,
+        peerScore,
+        interoperates,
+        usedBy: users.map(peer => peer.company),
+      };
+    })
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || byName(a.tool, b.tool))
+    .slice(0, limit);
+
+  return { peers, recommendations };
+}
+
+/**
+ * Group node ids by the `Type` of their node, for listing tools by type.
+ *
+ * @param {string[]} ids
+ * @param {Map<string,object>} nodesById - ReactFlow nodes by id
+ * @returns {Array<[string,string[]]>} [type, ids] pairs, types in alphabetical order
+ */
+export function groupByType(ids, nodesById) {
+  const byType = new Map();
+  ids.forEach(id => {
+    const type = nodesById.get(id)?.data.type || 'Other';
+    if (!byType.has(type)) byType.set(type, []);
+    byType.get(type).push(id);
+  });
+  return [...byType].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Build company-to-company edges for the 'similarity' edge mode, weighted by
+ * how much their tool stacks overlap. Each edge carries `data.weight`,
+ * `data.metric`, `data.shared` (the shared tool ids) and `data.width` (stroke
+ * width scaled to the strongest link).
+ *
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @param {object} [options]
+ * @param {string} [options.metric='jaccard'] - 'jaccard' (shared / union) or 'shared' (count), see SIMILARITY_METRICS
+ * @param {number} [options.threshold=0.3] - minimum weight for an edge
+ * @returns {{edges:Array,connectionCount:Object}}
+ */
+export function buildSimilarityEdges(
+  positionedNodes,
+  rawData,
+  resolver = createNameResolver(positionedNodes.map(n => n.id)),
+  { metric = 'jaccard', threshold = 0.3 } = {}
+) {
+  const stacks = [...buildCompanyStacks(positionedNodes, rawData, resolver)]
+    .filter(([, tools]) => tools.size > 0)
+    .sort(([a], [b]) => a.localeCompare(b));
+  const edges = [];
+
+  stacks.forEach(([companyA, toolsA], i) => {
+    stacks.slice(i + 1).forEach(([companyB, toolsB]) => {
+      const shared = [...toolsA].filter(tool => toolsB.has(tool)).sort((a, b) => a.localeCompare(b));
+      if (!shared.length) return;
+      const union = toolsA.size + toolsB.size - shared.length;
+      const weight = metric === 'shared' ? shared.length : shared.length / union;
+      if (weight < threshold) return;
+
+      edges.push({
+        id: `e-${companyA}-${companyB}`,
+        source: companyA,
+        target: companyB,
+        type: 'floating',
+        data: {
+          weight,
+          metric,
+          shared,
+        },
+      });
+    });
+  });
+
+  const maxWeight = Math.max(...edges.map(e => e.data.weight), 0);
   edges.forEach(edge => {
-    connectionCount[edge.source] = (connectionCount[edge.source] || 0) + 1;
-    connectionCount[edge.target] = (connectionCount[edge.target] || 0) + 1;
+    edge.data.width = 1 + 5 * (edge.data.weight / maxWeight);
   });
 
-  return { edges, connectionCount };
+  return { edges, connectionCount: countConnections(edges) };
 }
 
-// -----------------------------------------------------------------------------
-// Convenience node factory
-// -----------------------------------------------------------------------------
+/**
+ * Build tool-to-tool edges for the 'coadoption' edge mode: two tools are
+ * linked when at least `threshold` companies use both. Each edge carries
+ * `data.weight` (number of companies), `data.companies`, `data.declared`
+ * (whether the pair is also in the declared Interoperability data) and
+ * `data.width`.
+ *
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @param {object} [options]
+ * @param {number} [options.threshold=2] - minimum number of companies using both tools
+ * @returns {{edges:Array,connectionCount:Object}}
+ */
+export function buildCoAdoptionEdges(
+  positionedNodes,
+  rawData,
+  resolver = createNameResolver(positionedNodes.map(n => n.id)),
+  { threshold = 2 } = {}
+) {
+  const declared = new Set(buildInteroperabilityEdges(positionedNodes, rawData, resolver).edges.map(e => e.id));
+  const typeById = new Map(positionedNodes.map(n => [n.id, n.data.type]));
+  const isTool = id => !isCompanyType(typeById.get(id)) && !isFileFormatType(typeById.get(id));
+
+  // edge id -> companies using both tools
+  const pairs = new Map();
+  buildCompanyStacks(positionedNodes, rawData, resolver).forEach((tools, company) => {
+    const sorted = [...tools].filter(isTool).sort();
+    sorted.forEach((a, i) => {
+      sorted.slice(i + 1).forEach(b => {
+        const id = `e-${a}-${b}`;
+        if (!pairs.has(id)) pairs.set(id, { source: a, target: b, companies: [] });
+        pairs.get(id).companies.push(company);
+      });
+    });
+  });
+
+  const edges = [...pairs]
+    .filter(([, pair]) => pair.companies.length >= threshold)
+    .map(([id, { source, target, companies }]) => ({
+      id,
+      source,
+      target,
+      type: 'floating',
+      data: {
+        weight: companies.length,
+        companies: companies.sort((a, b) => a.localeCompare(b)),
+        declared: declared.has(id),
+      },
+    }));
+
+  const maxWeight = Math.max(...edges.map(e => e.data.weight), 0);
+  edges.forEach(edge => {
+    edge.data.width = 1 + 5 * (edge.data.weight / maxWeight);
+  });
+
+  return { edges, connectionCount: countConnections(edges) };
+}
 
 /**
- * Create a lightweight user node with a random-ish position. The default label
- * is Swedish ("min nya nod") to match the original project.
+ * Everything the dataset says about one node, for the detail panel: its
+ * row, the nodes it is interoperable with (declared on either side), the
+ * companies using it and, for a company, its tool stack.
  *
- * @param {string} label - label for the node
- * @returns {object} node
+ * @param {string} id - node id
+ * @param {Array} positionedNodes
+ * @param {Array} rawData
+ * @param {object} [resolver]
+ * @returns {{row:object|null,interoperable:string[],unresolved:string[],usedBy:string[],stack:string[]}}
+ *   `unresolved` holds Interoperability entries of the row that match no node
  */
-export function createUserNode(label = 'min nya nod') {
-  return {
-    id: `user-${+new Date()}`,
-    type: 'user-node',
-    position: {
-      x: Math.random() * 600 - 300,
-      y: Math.random() * 600 - 300
-    },
-    data: {
-      label,
-      editable: true
+export function describeNode(id, positionedNodes, rawData, resolver = createNameResolver(positionedNodes.map(n => n.id))) {
+  const nodeIds = new Set(positionedNodes.map(n => n.id));
+  const row = rawData.find(item => (resolver.resolve(item.Name) ?? item.Name) === id) ?? null;
+  const byName = (a, b) => a.localeCompare(b);
+
+  const interoperable = new Set();
+  const unresolved = [];
+  if (row) {
+    getInteroperability(row).forEach(name => {
+      const other = resolver.resolve(name);
+      if (other && nodeIds.has(other)) {
+        if (other !== id) interoperable.add(other);
+      } else {
+        unresolved.push(name);
+      }
+    });
+  }
+  // References from the other side count too, as they do for the edges
+  rawData.forEach(item => {
+    const other = resolver.resolve(item.Name) ?? item.Name;
+    if (other !== id && nodeIds.has(other) && getInteroperability(item).some(name => resolver.resolve(name) === id)) {
+      interoperable.add(other);
     }
+  });
+
+  const stacks = buildCompanyStacks(positionedNodes, rawData, resolver);
+  return {
+    row,
+    interoperable: [...interoperable].sort(byName),
+    unresolved,
+    usedBy: [...stacks].filter(([, tools]) => tools.has(id)).map(([company]) => company).sort(byName),
+    stack: [...(stacks.get(id) || [])].sort(byName),
   };
 }
+
+// -----------------------------------------------------------------------------
+// Browser helpers
+// -----------------------------------------------------------------------------
+
+/**
+ * Offer text content to the user as a file download.
+ *
+ * @param {string} fileName - suggested file name
+ * @param {string} content - file contents
+ * @param {string} mimeType - e.g. 'application/json'
+ */
+export function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement('a');
+  a.setAttribute('download', fileName);
+  a.setAttribute('href', url);
+  a.click();
+  // Revoking right away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
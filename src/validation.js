@@ -0,0 +1,177 @@
+/**
+ * validation.js
+ * Dataset validation for the DesignTech graph.
+ *
+ * The edge builders in utils.js silently drop references they cannot match,
+ * so this module reports what is wrong with the data instead. It is used by
+ * the in-app "Data issues" panel and by `npm run validate:data`.
+ */
+
+import {
+  createNameResolver,
+  getDesigntechs,
+  getInteroperability,
+  isCompanyType,
+  isFileFormatType,
+  normalizeName,
+} from './dataset.js';
+
+// Types used in the master sheet. Other types are accepted once more than one
+// row uses them; a type only one row uses is most likely a typo.
+export const KNOWN_TYPES = [
+  'Company',
+  'Filformat',
+  'AI & ML',
+  'BIM',
+  'Datadelning & moln',
+  'Datadelning & moln (bibliotek)',
+  'Energi- och klimat',
+  'GIS',
+  'LCA',
+  'Generativ plattform',
+  'Modellering',
+  'Spelmotor',
+  'Strukturanalys',
+  'UI & gränssnitt',
+  'Utveckling, kod & språk',
+  'Visualisering',
+];
+
+// Issue codes in the order they are listed. The panel's headings are in
+// i18n.js under issues.<code>, the command line report has its own.
+export const ISSUE_CODES = [
+  'missing-name',
+  'duplicate-name',
+  'similar-name',
+  'unknown-type',
+  'dangling-reference',
+  'self-reference',
+  'duplicate-reference',
+  'missing-description',
+  'missing-website',
+];
+
+/**
+ * The known types plus every type more than one row uses, so datasets with
+ * their own types and types added in the data editor are not reported.
+ *
+ * @param {Array} data - dataset rows
+ * @param {string[]} knownTypes
+ * @returns {Set<string>}
+ */
+function acceptedTypes(data, knownTypes) {
+  const counts = new Map();
+  data.forEach(item => {
+    if (item.Type) counts.set(item.Type, (counts.get(item.Type) || 0) + 1);
+  });
+  const shared = [...counts].filter(([, count]) => count > 1).map(([type]) => type);
+  return new Set([...knownTypes, ...shared]);
+}
+
+/**
+ * Validate a dataset and return a flat list of issues.
+ *
+ * Each issue has the shape
+ * `{ severity: 'error'|'warning'|'info', code, name, field, reference, message }`
+ * where `code` is one of ISSUE_CODES. References are matched the
+ * same way the edge builders match them, i.e. through createNameResolver, so
+ * only references that still end up dropped are reported as dangling.
+ *
+ * @param {Array} data - dataset rows (Name, Type, Interoperability, Designtechs, ...)
+ * @param {object} [options]
+ * @param {string[]} [options.knownTypes] - `Type` values accepted even when only one row uses them
+ * @param {Object<string,string>} [options.aliases] - alias -> canonical name
+ * @returns {Array<object>}
+ */
+export function validateDataset(data, { knownTypes = KNOWN_TYPES, aliases = {} } = {}) {
+  const issues = [];
+  const add = (severity, code, name, message, extra = {}) =>
+    issues.push({ severity, code, name, field: null, reference: null, message, ...extra });
+
+  const seen = new Set();
+  const seenNormalized = new Map();
+  const types = acceptedTypes(data, knownTypes);
+
+  data.forEach((item, index) => {
+    const name = typeof item.Name === 'string' ? item.Name.trim() : '';
+    if (!name) {
+      add('error', 'missing-name', `#${index + 1}`, `Row ${index + 1} has no Name`);
+      return;
+    }
+    const key = normalizeName(name);
+    if (seen.has(name)) {
+      add('error', 'duplicate-name', name, `"${name}" is listed more than once`, { field: 'Name' });
+    } else if (seenNormalized.has(key)) {
+      const other = seenNormalized.get(key);
+      add('warning', 'similar-name', name, `Differs from "${other}" only in case or spacing`, { field: 'Name', reference: other });
+    }
+    seen.add(name);
+    if (!seenNormalized.has(key)) seenNormalized.set(key, name);
+  });
+
+  const resolver = createNameResolver(data.map(item => item.Name), aliases);
+
+  data.forEach(item => {
+    const name = typeof item.Name === 'string' ? item.Name.trim() : '';
+    if (!name) return;
+
+    if (!types.has(item.Type)) {
+      add('warning', 'unknown-type', name, `Type "${item.Type ?? ''}" is not a known type and no other entry uses it`, { field: 'Type', reference: item.Type ?? null });
+    }
+
+    const references = [
+      ['Interoperability', getInteroperability(item)],
+      ['Designtechs', getDesigntechs(item)],
+    ];
+    references.forEach(([field, list]) => {
+      const listed = new Set();
+      list.forEach(reference => {
+        const target = resolver.resolve(reference);
+        if (target === name) {
+          add('warning', 'self-reference', name, `Lists itself in ${field}`, { field, reference });
+        } else if (!target) {
+          add('error', 'dangling-reference', name, `${field} entry "${reference}" matches no Name`, { field, reference });
+        } else if (listed.has(target)) {
+          add('info', 'duplicate-reference', name, `${field} lists "${target}" more than once`, { field, reference });
+        }
+        if (target) listed.add(target);
+      });
+    });
+
+    // Company rows have no description or website columns
+    if (isCompanyType(item.Type)) return;
+
+    if (!item.Description || !String(item.Description).trim()) {
+      add('warning', 'missing-description', name, 'No Description', { field: 'Description' });
+    }
+    if (!item.Website && !isFileFormatType(item.Type)) {
+      add('info', 'missing-website', name, 'No Website', { field: 'Website' });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Group issues by code, in the order of ISSUE_CODES.
+ *
+ * @param {Array<object>} issues - output of validateDataset
+ * @returns {Array<{code:string,issues:Array}>}
+ */
+export function groupIssues(issues) {
+  return ISSUE_CODES
+    .map(code => ({ code, issues: issues.filter(i => i.code === code) }))
+    .filter(group => group.issues.length > 0);
+}
+
+/**
+ * Count issues per severity.
+ *
+ * @param {Array<object>} issues
+ * @returns {{error:number,warning:number,info:number}}
+ */
+export function countIssues(issues) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  issues.forEach(i => { counts[i.severity] = (counts[i.severity] || 0) + 1; });
+  return counts;
+}
@@ -0,0 +1,95 @@
+/**
+ * viewState.js
+ * Encode the view of the graph (edge mode, type filter, selection, viewport
+ * and optionally node positions) into a URL hash and back, so that a link
+ * opens the same view for a colleague.
+ *
+ * The hash is a query string, e.g.
+ *   #mode=interoperability&node=Revit&order=2&view=120,-40,0.8
+ * Hidden types are listed rather than active ones, so a link stays valid when
+ * types are added to the dataset. Positions are base64url-encoded JSON.
+ */
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64);
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+/**
+ * Serialize a view state into a hash (without the leading '#').
+ *
+ * @param {object} state
+ * @param {string} state.edgeMode
+ * @param {string[]} state.hiddenTypes - types switched off in the type filter
+ * @param {string|null} state.selectedNodeId
+ * @param {number} state.interoperabilityOrder
+ * @param {{x:number,y:number,zoom:number}} [state.viewport]
+ * @param {Object<string,{x:number,y:number}>} [state.positions] - node id -> position
+ * @returns {string}
+ */
+export function encodeViewState({ edgeMode, hiddenTypes = [], selectedNodeId, interoperabilityOrder, viewport, positions }) {
+  const params = new URLSearchParams();
+  params.set('mode', edgeMode);
+  hiddenTypes.forEach(type => params.append('hide', type));
+  if (selectedNodeId) params.set('node', selectedNodeId);
+  if (interoperabilityOrder && interoperabilityOrder !== 1) params.set('order', String(interoperabilityOrder));
+  if (viewport) params.set('view', [round(viewport.x), round(viewport.y), round(viewport.zoom, 3)].join(','));
+  if (positions) {
+    const compact = Object.fromEntries(Object.entries(positions).map(([id, p]) => [id, [round(p.x), round(p.y)]]));
+    params.set('pos', toBase64Url(JSON.stringify(compact)));
+  }
+  return params.toString();
+}
+
+/**
+ * Parse a hash produced by encodeViewState. Only keys present in the hash are
+ * returned; malformed parts are ignored.
+ *
+ * @param {string} hash - with or without the leading '#'
+ * @returns {object} partial view state
+ */
+export function decodeViewState(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const state = {};
+
+  if (params.has('mode')) state.edgeMode = params.get('mode');
+  if (params.has('mode') || params.has('hide')) state.hiddenTypes = params.getAll('hide');
+  if (params.has('mode') || params.has('node')) state.selectedNodeId = params.get('node') || null;
+
+  const order = Number(params.get('order'));
+  if (params.has('order') && Number.isInteger(order) && order > 0) state.interoperabilityOrder = order;
+  else if (params.has('mode')) state.interoperabilityOrder = 1;
+
+  const view = (params.get('view') || '').split(',').map(Number);
+  if (view.length === 3 && view.every(Number.isFinite)) {
+    state.viewport = { x: view[0], y: view[1], zoom: view[2] };
+  }
+
+  if (params.has('pos')) {
+    try {
+      const compact = JSON.parse(fromBase64Url(params.get('pos')));
+      state.positions = Object.fromEntries(
+        Object.entries(compact)
+          .filter(([, p]) => Array.isArray(p) && p.every(Number.isFinite))
+          .map(([id, [x, y]]) => [id, { x, y }])
+      );
+    } catch {
+      // A truncated or hand-edited link should still open the rest of the view
+    }
+  }
+
+  return state;
+}
@@ -0,0 +1,151 @@
+/**
+ * workspace.js
+ * Persistence of user edits in localStorage: entries added or changed in the
+ * data editor, edges drawn with onConnect and node positions (dragged,
+ * arranged or simulated).
+ *
+ * Positions and drawn edges are kept per edge mode, so a curated company
+ * layout survives a detour through the interoperability view. Besides the
+ * autosaved workspace, any number of named workspaces can be stored.
+ *
+ * A workspace for the full dataset is a few tens of kilobytes, well within
+ * the localStorage quota.
+ */
+
+const AUTOSAVE_KEY = 'designtech-graph:workspace';
+const NAMED_KEY = 'designtech-graph:workspaces';
+const VERSION = 1;
+
+/**
+ * `dataset` holds the edited rows and the name of the file they came from
+ * (null for data.json), or is null while the data is unchanged.
+ *
+ * @returns {{version:number,modes:Object<string,{positions:Object,manualEdges:Array}>,dataset:{rows:Array,source:string|null}|null}}
+ */
+export function emptyWorkspace() {
+  return { version: VERSION, modes: {}, dataset: null };
+}
+
+function readJson(key) {
+  try {
+    const value = window.localStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    // Private browsing or a full quota: edits still work, they just won't persist
+    return false;
+  }
+}
+
+const isWorkspace = (value) => value && value.version === VERSION && typeof value.modes === 'object';
+
+/**
+ * Record the current nodes and edges of one edge mode in a workspace.
+ *
+ * @param {object} workspace
+ * @param {string} mode - edge mode the nodes and edges belong to
+ * @param {Array} nodes - ReactFlow nodes
+ * @param {Array} edges - ReactFlow edges; only those with data.manual are kept
+ * @returns {object} updated copy of the workspace
+ */
+export function captureWorkspace(workspace, mode, nodes, edges) {
+  const positions = Object.fromEntries(nodes.map(n => [n.id, { x: n.position.x, y: n.position.y }]));
+  const manualEdges = edges
+    .filter(e => e.data?.manual)
+    .map(({ id, source, target, sourceHandle, targetHandle, type }) => ({
+      id, source, target, sourceHandle, targetHandle, type, data: { manual: true },
+    }));
+
+  return {
+    ...workspace,
+    modes: { ...workspace.modes, [mode]: { positions, manualEdges } },
+  };
+}
+
+/**
+ * Apply a workspace to freshly built dataset elements: move nodes to their
+ * saved positions and add the drawn edges of `mode`. The edited dataset is
+ * not applied here; build the elements from `workspace.dataset.rows`.
+ *
+ * @param {{nodes:Array,edges:Array}} elements - from initialElements / the edge builders
+ * @param {object|null} workspace
+ * @param {string} mode - edge mode whose positions and drawn edges to use
+ * @returns {{nodes:Array,edges:Array}}
+ */
+export function restoreWorkspace({ nodes, edges }, workspace, mode) {
+  if (!isWorkspace(workspace)) return { nodes, edges };
+
+  const { positions = {}, manualEdges = [] } = workspace.modes[mode] || {};
+  const ids = new Set(nodes.map(n => n.id));
+  const edgeIds = new Set(edges.map(e => e.id));
+
+  return {
+    nodes: nodes.map(n => (positions[n.id] ? { ...n, position: positions[n.id] } : n)),
+    edges: [
+      ...edges,
+      ...manualEdges.filter(e => ids.has(e.source) && ids.has(e.target) && !edgeIds.has(e.id)),
+    ],
+  };
+}
+
+export function loadAutosavedWorkspace() {
+  const workspace = readJson(AUTOSAVE_KEY);
+  return isWorkspace(workspace) ? workspace : null;
+}
+
+/**
+ * @param {object} workspace
+ * @returns {boolean} false when the browser refused to store it
+ */
+export function saveAutosavedWorkspace(workspace) {
+  return writeJson(AUTOSAVE_KEY, workspace);
+}
+
+export function clearAutosavedWorkspace() {
+  try {
+    window.localStorage.removeItem(AUTOSAVE_KEY);
+  } catch {
+    // nothing stored, nothing to clear
+  }
+}
+
+/**
+ * Names of the saved workspaces, alphabetically.
+ *
+ * @returns {string[]}
+ */
+export function listNamedWorkspaces() {
+  return Object.keys(readJson(NAMED_KEY) || {}).sort((a, b) => a.localeCompare(b));
+}
+
+export function loadNamedWorkspace(name) {
+  const workspace = (readJson(NAMED_KEY) || {})[name];
+  return isWorkspace(workspace) ? workspace : null;
+}
+
+/**
+ * @param {string} name
+ * @param {object} workspace
+ * @returns {boolean} false when the browser refused to store it
+ */
+export function saveNamedWorkspace(name, workspace) {
+  return writeJson(NAMED_KEY, { ...(readJson(NAMED_KEY) || {}), [name]: workspace });
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} false when the browser refused to store the change
+ */
+export function deleteNamedWorkspace(name) {
+  const all = readJson(NAMED_KEY) || {};
+  delete all[name];
+  return writeJson(NAMED_KEY, all);
+}